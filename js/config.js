@@ -1,43 +1,167 @@
-// Powder Mountain Resort center
-export const CENTER = { lat: 41.3797, lon: -111.7808 };
-
-// Bounding box for terrain analysis
-export const BOUNDS = {
-  sw: { lat: 41.35, lon: -111.82 },
-  ne: { lat: 41.42, lon: -111.73 }
-};
+// Area profiles (center, bounds, stations, wind point, resort adapter) live
+// in profiles/<id>.json; index.json lists them for the area dropdown
+export const PROFILES_URL = 'profiles/';
+export const DEFAULT_PROFILE_ID = 'powder-mountain';
 
 // Terrain-RGB tile zoom level (~7m/pixel at this latitude)
 export const TERRAIN_ZOOM = 14;
 
-// Map initial view
+// Map initial view (profiles may override the zoom)
 export const MAP_ZOOM = 13;
 export const MAP_STYLE = 'mapbox://styles/mapbox/outdoors-v12';
 
-// Mapbox access token — set in env.js (not committed) or replace here
-export const MAPBOX_TOKEN = window.MAPBOX_TOKEN || 'YOUR_MAPBOX_TOKEN_HERE';
+// Mapbox access token — set in env.js (not committed) or replace here.
+// globalThis rather than window so these modules also load under Node (server.js)
+export const MAPBOX_TOKEN = globalThis.MAPBOX_TOKEN || 'YOUR_MAPBOX_TOKEN_HERE';
 
-// SNOTEL base URL — hours parameter is appended dynamically
+// Same-origin data proxy (server.js) — caches SNOTEL, Open-Meteo and resort responses
+export const API_BASE_URL = '/api/';
+
+// SNOTEL base URL — station triplet and hours/date range are appended dynamically
 export const SNOTEL_BASE_URL =
   'https://wcc.sc.egov.usda.gov/reportGenerator/view_csv/' +
-  'customSingleStationReport/hourly/1300:UT:SNTL/';
-export const SNOTEL_ELEMENTS = 'SNWD::value,PREC::value,WTEQ::value,TOBS::value';
+  'customSingleStationReport/hourly/';
+export const SNOTEL_ELEMENTS =
+  'SNWD::value,SNWD::qcFlag,PREC::value,PREC::qcFlag,WTEQ::value,WTEQ::qcFlag,TOBS::value,TOBS::qcFlag';
+
+// SNOTEL data quality (see summarizeSnotel). Precip or SWE gaining faster
+// than this (inches per hour) is a gauge fault, not snow
+export const SNOTEL_MAX_HOURLY_IN = 1;
+// A precip or SWE drop bigger than this (inches) is a reset or melt, and
+// counting restarts from the new level; smaller dips are noise
+export const SNOTEL_RESET_IN = 1;
+// Runs of missing readings longer than this (hours) are flagged in the panel
+export const SNOTEL_GAP_WARN_HOURS = 3;
 
-// Snow-to-water ratio for estimating snowfall from liquid precip (SWE)
+// Temperature lapse rate for the rain/snow line model (°F per 1000 ft).
+// Saturated storm air cools ~3.3°F/1000ft; 3.5 is a common mountain average
+export const LAPSE_RATE_F_PER_1000FT = 3.5;
+
+// Snow-to-water ratio for estimating snowfall from liquid precip (SWE) when
+// there's no temperature to derive one from (see density.js)
 // Utah cold powder typically 12:1–15:1; 12 is conservative
 export const SNOW_LIQUID_RATIO = 12;
 
-// Open-Meteo base URL — past_days is appended dynamically
+// New-snow density (fraction of water) that counts as blower — no quality
+// penalty at or below it — and as heavy, where the penalty is full
+export const LIGHT_SNOW_DENSITY = 0.07;
+export const HEAVY_SNOW_DENSITY = 0.12;
+
+// Quality multiplier on the powder score for heavy snow
+export const HEAVY_SNOW_QUALITY = 0.6;
+
+// Scoring model defaults, tunable from the settings drawer (see model.js):
+// snowfall that earns a full snow factor (inches, at the station's
+// elevation), wind speed for full snow transport (mph), the share of the wind
+// score from upwind shelter, and the most of a pixel's score sun crust and
+// skier traffic can take away
+export const MODEL_DEFAULTS = {
+  snowSaturationIn: 6,
+  transportCapMph: 30,
+  shelterWeight: 0.5,
+  sunCrustWeight: 0.7,
+  trackedWeight: 0.85,
+};
+
+// Named starting points for the settings drawer. Each sets the model values
+// it lists (others keep their defaults) and, optionally, the overlay's
+// minimum score
+export const MODEL_PRESETS = {
+  storm: {
+    name: 'Storm day',
+    model: { snowSaturationIn: 10, shelterWeight: 0.3, sunCrustWeight: 0.4 },
+  },
+  wind: {
+    name: 'Wind event',
+    model: { snowSaturationIn: 4, transportCapMph: 20, shelterWeight: 0.7 },
+  },
+  conservative: {
+    name: 'Conservative',
+    model: { snowSaturationIn: 8, sunCrustWeight: 0.9, trackedWeight: 1 },
+    threshold: 0.5,
+  },
+};
+
+// Lift operating hours (local time) for the skier-traffic model, unless an
+// area profile sets its own liftHours
+export const LIFT_OPEN_HOUR = 9;
+export const LIFT_CLOSE_HOUR = 16;
+
+// Snowfall fusion (fusion.js): base weight per estimate. Precip gauges are
+// the steadiest; depth sensors lose new snow to settlement and SWE pillows
+// lag and bridge; resort reports are plot boards, not instruments.
+// staleFactor applies to resort reports older than RESORT_STALE_HOURS and
+// outlierFactor to estimates far from the rest
+export const FUSION_WEIGHTS = {
+  precip: 1.0,
+  depth: 0.6,
+  swe: 0.5,
+  resort: 0.8,
+  forecast: 1.0,
+  staleFactor: 0.3,
+  outlierFactor: 0.1,
+};
+
+// An estimate is an outlier when it's further than this from the weighted
+// median — inches, or a share of the median, whichever is larger
+export const FUSION_OUTLIER_IN = 2;
+export const FUSION_OUTLIER_SHARE = 0.5;
+
+// Resort reports older than this (hours) are stale
+export const RESORT_STALE_HOURS = 6;
+
+// Open-Meteo base URL — location and past_days/forecast_days are appended dynamically
 export const WIND_BASE_URL =
   'https://api.open-meteo.com/v1/forecast' +
-  '?latitude=41.3797&longitude=-111.7808' +
-  '&hourly=precipitation,wind_speed_10m,wind_direction_10m,wind_gusts_10m' +
-  '&forecast_days=0' +
-  '&wind_speed_unit=mph&precipitation_unit=inch' +
+  '?hourly=precipitation,temperature_2m,wind_speed_10m,wind_direction_10m,wind_gusts_10m,direct_normal_irradiance' +
+  '&wind_speed_unit=mph&precipitation_unit=inch&temperature_unit=fahrenheit' +
+  '&timezone=America%2FDenver';
+
+// Open-Meteo historical archive — location and start_date/end_date are
+// appended dynamically. The archive lags real time by several days
+// (WIND_ARCHIVE_LAG_DAYS)
+export const WIND_ARCHIVE_BASE_URL =
+  'https://archive-api.open-meteo.com/v1/archive' +
+  '?hourly=precipitation,temperature_2m,wind_speed_10m,wind_direction_10m,wind_gusts_10m,direct_normal_irradiance' +
+  '&wind_speed_unit=mph&precipitation_unit=inch&temperature_unit=fahrenheit' +
   '&timezone=America%2FDenver';
 
-// Powder Mountain resort API — staff-reported snow numbers
-export const RESORT_API_URL = 'https://powdermountain.com/api/conditions';
+// NWS gridpoint lookup — "lat,lon" is appended; the fallback forecast source
+// when Open-Meteo is down (server/providers.js)
+export const NWS_POINTS_URL = 'https://api.weather.gov/points/';
+
+// Days before the scoring window searched for the end of the last storm, so
+// sun and skier traffic count from the storm rather than from the window start
+export const STORM_LOOKBACK_DAYS = 7;
+
+// Days the Open-Meteo archive runs behind today; replays can't end later
+export const WIND_ARCHIVE_LAG_DAYS = 5;
+
+// Longest date range the replay picker will request (days)
+export const REPLAY_MAX_DAYS = 14;
 
 // Overlay opacity on top of the map
 export const OVERLAY_OPACITY = 0.75;
+
+// Lowest powder score drawn on the overlay (adjustable from the legend)
+export const OVERLAY_THRESHOLD = 0.35;
+
+// Score counted as "good" in per-run rankings (share of the run above it)
+export const RUN_GOOD_SCORE = 0.6;
+
+// Half-width (m) of the corridor scored around runs drawn as lines
+export const RUN_LINE_HALF_WIDTH_M = 20;
+
+// Runs listed in the panel's ranking
+export const RUN_LIST_LENGTH = 10;
+
+// Zone export: default minimum score, grid pixels per block side (zones are
+// traced on blocks to skip single-pixel noise) and smallest zone kept (m²)
+export const ZONE_EXPORT_THRESHOLD = 0.6;
+export const ZONE_BLOCK_SIZE = 4;
+export const ZONE_MIN_AREA_M2 = 2000;
+
+// Terrain tile cache: size cap, and the most of the browser's storage quota
+// it may take when that is smaller
+export const TILE_CACHE_MAX_MB = 256;
+export const TILE_CACHE_QUOTA_SHARE = 0.5;
@@ -0,0 +1,54 @@
+import { SNOW_LIQUID_RATIO, LIGHT_SNOW_DENSITY, HEAVY_SNOW_DENSITY, HEAVY_SNOW_QUALITY } from './config.js';
+import { clamp } from './utils.js';
+
+// Coldest new snow the density relation produces (fraction of water)
+const MIN_DENSITY = 0.05;
+
+/**
+ * Density of new snow falling at an air temperature, as a fraction of water
+ * (0.05 = 5%, a 20:1 snow-to-liquid ratio). Anderson (1976), as used by the
+ * NWS SNOW-17 model: ρ = 0.05 + 0.0017 (T + 15)^1.5 g/cm³ above -15°C.
+ * Anything warmer than freezing is taken as 0°C wet snow; the snow line
+ * model decides how much of it is rain.
+ */
+export function newSnowDensity(tempF) {
+  const tempC = Math.min((tempF - 32) * 5 / 9, 0);
+  return tempC > -15 ? MIN_DENSITY + 0.0017 * (tempC + 15) ** 1.5 : MIN_DENSITY;
+}
+
+/**
+ * Snow-to-liquid ratio for a storm from hourly precipitation and temperature,
+ * each hour's precip converted at its own temperature. Hours without a
+ * temperature use SNOW_LIQUID_RATIO.
+ *
+ * @param {number[]} precip - Liquid precipitation per hour (inches)
+ * @param {Array<number|null>} temps - Air temperature per hour (°F)
+ * Returns { ratio, density } weighted by precip, or null if nothing fell.
+ */
+export function stormSnowRatio(precip, temps) {
+  let water = 0;
+  let snow = 0;
+
+  for (let i = 0; i < precip.length; i++) {
+    const p = precip[i];
+    if (!(p > 0)) continue;
+    const t = temps[i];
+    const ratio = t != null && !isNaN(t) ? 1 / newSnowDensity(t) : SNOW_LIQUID_RATIO;
+    water += p;
+    snow += p * ratio;
+  }
+
+  if (water === 0) return null;
+  return { ratio: snow / water, density: water / snow };
+}
+
+/**
+ * Powder quality multiplier from new-snow density: 1 for cold smoke at or
+ * below LIGHT_SNOW_DENSITY, falling to HEAVY_SNOW_QUALITY for dense snow at
+ * HEAVY_SNOW_DENSITY and above. Returns 1 when the density is unknown.
+ */
+export function snowQuality(density) {
+  if (density == null) return 1;
+  const t = clamp((density - LIGHT_SNOW_DENSITY) / (HEAVY_SNOW_DENSITY - LIGHT_SNOW_DENSITY), 0, 1);
+  return 1 - t * (1 - HEAVY_SNOW_QUALITY);
+}
@@ -0,0 +1,108 @@
+/**
+ * Serialize powder zones (zones.js) for download: GeoJSON as-is, KML
+ * polygons, or GPX waypoints at each zone's centroid.
+ */
+
+export const EXPORT_FORMATS = {
+  geojson: { name: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json' },
+  kml: { name: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+  gpx: { name: 'GPX', extension: 'gpx', mime: 'application/gpx+xml' },
+};
+
+/**
+ * Serialize a zone collection in one of EXPORT_FORMATS.
+ * @param {Object} zones - FeatureCollection from extractZones
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {string} title - Document name (e.g. area and date)
+ * @returns {string}
+ */
+export function serializeZones(zones, format, title) {
+  if (format === 'kml') return zonesToKML(zones, title);
+  if (format === 'gpx') return zonesToGPX(zones, title);
+  return JSON.stringify(zones);
+}
+
+function describeZone(props) {
+  return `Mean score ${props.meanScore.toFixed(2)}, max ${props.maxScore.toFixed(2)}, ` +
+    `${(props.areaM2 / 10000).toFixed(1)} ha`;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function kmlRing(ring) {
+  return ring.map(([lon, lat]) => `${lon.toFixed(6)},${lat.toFixed(6)}`).join(' ');
+}
+
+function kmlPolygon(rings) {
+  const [outer, ...holes] = rings;
+  return '<Polygon>' +
+    `<outerBoundaryIs><LinearRing><coordinates>${kmlRing(outer)}</coordinates></LinearRing></outerBoundaryIs>` +
+    holes.map(h => `<innerBoundaryIs><LinearRing><coordinates>${kmlRing(h)}</coordinates></LinearRing></innerBoundaryIs>`).join('') +
+    '</Polygon>';
+}
+
+/**
+ * KML document with one polygon placemark per zone.
+ */
+export function zonesToKML(zones, title) {
+  const placemarks = zones.features.map(({ geometry, properties }) => {
+    const shape = geometry.type === 'Polygon'
+      ? kmlPolygon(geometry.coordinates)
+      : `<MultiGeometry>${geometry.coordinates.map(kmlPolygon).join('')}</MultiGeometry>`;
+    return `    <Placemark><name>${escapeXml(properties.name)}</name>` +
+      `<description>${escapeXml(describeZone(properties))}</description>` +
+      `<styleUrl>#zone</styleUrl>${shape}</Placemark>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(title)}</name>`,
+    '    <Style id="zone"><LineStyle><color>ffb450ff</color><width>2</width></LineStyle>' +
+      '<PolyStyle><color>66b450ff</color></PolyStyle></Style>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * GPX document with one waypoint per zone, at its centroid.
+ */
+export function zonesToGPX(zones, title) {
+  const waypoints = zones.features.map(({ properties }) => {
+    const [lon, lat] = properties.centroid;
+    return `  <wpt lat="${lat.toFixed(6)}" lon="${lon.toFixed(6)}">` +
+      `<name>${escapeXml(properties.name)}</name>` +
+      `<desc>${escapeXml(describeZone(properties))}</desc></wpt>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Powder Map" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(title)}</name><time>${new Date().toISOString()}</time></metadata>`,
+    ...waypoints,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Save text as a file via a temporary download link.
+ */
+export function downloadText(text, filename, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
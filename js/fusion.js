@@ -0,0 +1,131 @@
+import { FUSION_WEIGHTS, FUSION_OUTLIER_IN, FUSION_OUTLIER_SHARE, RESORT_STALE_HOURS } from './config.js';
+import { formatInches } from './utils.js';
+
+/**
+ * Fuse the period's snowfall estimates into one number, weighted by how far
+ * each source can be trusted.
+ *
+ * Estimates: SNOTEL precip × snow-to-liquid ratio, SNOTEL depth change, SNOTEL
+ * SWE change × the same ratio, and the resort report (or the forecast alone in
+ * forecast mode). Each starts at its FUSION_WEIGHTS weight; a stale resort
+ * report and any estimate far from the weighted median are down-weighted.
+ * Confidence comes from how well the remaining estimates agree and how many
+ * there are.
+ *
+ * @param {Object|null} snotel - From summarizeSnotel or summarizeForecast
+ * @param {number|null} resortSnowfall - Resort-reported snowfall for the period
+ * @param {number|null} resortAgeHours - How old the resort report is
+ * Returns { snowfall, confidence: 'high' | 'medium' | 'low' | 'none',
+ *   estimates: [{ source, label, value, weight, outlier }], notes: [string] }
+ */
+export function fuseSnowfall(snotel, resortSnowfall, resortAgeHours) {
+  const estimates = [];
+  const notes = [];
+  const add = (source, label, value, weight) => {
+    if (value != null && !isNaN(value)) estimates.push({ source, label, value, weight, outlier: false });
+  };
+
+  if (snotel && snotel.source === 'forecast') {
+    add('forecast', 'Forecast', snotel.totalSnowfall, FUSION_WEIGHTS.forecast);
+  } else if (snotel) {
+    add('precip', 'SNOTEL precip', snotel.totalSnowfall, FUSION_WEIGHTS.precip);
+    add('depth', 'SNOTEL depth', snotel.depthChange, FUSION_WEIGHTS.depth);
+    if (snotel.sweChange != null && snotel.snowRatio != null) {
+      add('swe', 'SNOTEL SWE', snotel.sweChange * snotel.snowRatio, FUSION_WEIGHTS.swe);
+    }
+  }
+
+  const stale = resortSnowfall != null && resortAgeHours != null && resortAgeHours > RESORT_STALE_HOURS;
+  if (resortSnowfall != null) {
+    let weight = FUSION_WEIGHTS.resort;
+    if (stale) {
+      weight *= FUSION_WEIGHTS.staleFactor;
+      notes.push(`Resort report is ${Math.round(resortAgeHours)} h old — given less weight`);
+    }
+    add('resort', 'Resort', resortSnowfall, weight);
+  }
+
+  if (estimates.length === 0) {
+    return { snowfall: 0, confidence: 'none', estimates, notes: ['No snowfall data'] };
+  }
+
+  // Anything far from the consensus is flagged and mostly ignored
+  const median = weightedMedian(estimates);
+  const tolerance = Math.max(FUSION_OUTLIER_IN, FUSION_OUTLIER_SHARE * median);
+  for (const e of estimates) {
+    if (estimates.length > 2 && Math.abs(e.value - median) > tolerance) {
+      e.outlier = true;
+      e.weight *= FUSION_WEIGHTS.outlierFactor;
+      notes.push(`${e.label} (${formatInches(e.value)}) disagrees with the others (~${formatInches(median)}) — mostly ignored`);
+    }
+  }
+
+  let sum = 0;
+  let weightSum = 0;
+  for (const e of estimates) {
+    sum += e.value * e.weight;
+    weightSum += e.weight;
+  }
+  const snowfall = sum / weightSum;
+
+  // Two sources can't outvote each other; call out a wide split instead
+  const kept = estimates.filter(e => !e.outlier);
+  const spread = Math.max(...kept.map(e => e.value)) - Math.min(...kept.map(e => e.value));
+  const disagree = spread > Math.max(FUSION_OUTLIER_IN, FUSION_OUTLIER_SHARE * snowfall);
+  if (disagree && kept.length === 2) {
+    const [a, b] = kept;
+    notes.push(`${a.label} (${formatInches(a.value)}) and ${b.label} (${formatInches(b.value)}) disagree`);
+  } else if (disagree) {
+    const values = kept.map(e => e.value);
+    notes.push(`Sources range from ${formatInches(Math.min(...values))} to ${formatInches(Math.max(...values))}`);
+  }
+
+  const confidence = rateConfidence(kept.length, disagree, stale || estimates.some(e => e.outlier));
+  if (kept.length === 1 && !estimates.some(e => e.outlier)) {
+    notes.push(kept[0].source === 'forecast'
+      ? 'Forecast only — nothing observed to check it against'
+      : `Only one source: ${kept[0].label}`);
+  }
+
+  return { snowfall, confidence, estimates, notes };
+}
+
+/**
+ * Snowfall for a period with nothing from the area itself (no station of its
+ * own, or no report from it, and no resort report): the mean of the nearby
+ * stations', at low confidence since none of them is in the area.
+ *
+ * @param {Array} stations - From snowfallStations, none of them primary
+ * Returns the same shape as fuseSnowfall.
+ */
+export function fuseNearbySnowfall(stations) {
+  const estimates = stations.map(s => ({ source: 'nearby', label: s.name, value: s.snowfall, weight: 1, outlier: false }));
+  const snowfall = estimates.reduce((sum, e) => sum + e.value, 0) / estimates.length;
+  const names = estimates.map(e => e.label).join(', ');
+  return {
+    snowfall,
+    confidence: 'low',
+    estimates,
+    notes: [`No snow report from the area itself — averaged from nearby stations (${names})`]
+  };
+}
+
+function rateConfidence(sources, disagree, caveat) {
+  if (disagree || sources < 2) return 'low';
+  if (caveat || sources < 3) return 'medium';
+  return 'high';
+}
+
+/**
+ * Median of the estimates' values, each counted by its weight.
+ */
+function weightedMedian(estimates) {
+  const sorted = [...estimates].sort((a, b) => a.value - b.value);
+  const half = sorted.reduce((sum, e) => sum + e.weight, 0) / 2;
+  let acc = 0;
+  for (const e of sorted) {
+    acc += e.weight;
+    if (acc >= half) return e.value;
+  }
+  return sorted[sorted.length - 1].value;
+}
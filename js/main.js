@@ -1,15 +1,51 @@
-import { CENTER, BOUNDS, TERRAIN_ZOOM, MAP_ZOOM, MAP_STYLE, MAPBOX_TOKEN } from './config.js';
-import { fetchSnotelData, fetchResortSnow, fetchWindData, computeDominantWind, averageSnowfall, getResortSnowForPeriod } from './weather.js';
-import { fetchTerrainGrid, getGridBounds } from './terrain.js';
-import { computePowderScores } from './powder.js';
-import { renderOverlay, addOverlayToMap } from './overlay.js';
-import { degreesToCardinal, formatInches } from './utils.js';
+import { TERRAIN_ZOOM, MAP_STYLE, MAPBOX_TOKEN, REPLAY_MAX_DAYS, WIND_ARCHIVE_LAG_DAYS, OVERLAY_OPACITY, OVERLAY_THRESHOLD, RUN_GOOD_SCORE, RUN_LIST_LENGTH, ZONE_EXPORT_THRESHOLD, MODEL_PRESETS } from './config.js';
+import { fetchProfileIndex, fetchProfile, resolveProfileId } from './profiles.js';
+import { fetchSnotelData, fetchSnotelRange, fetchResortSnow, fetchWindData, fetchWindRange, fetchForecastData, summarizeForecast, getResortSnowForPeriod } from './weather.js';
+import { getGridBounds, lonLatToGridPixel } from './terrain.js';
+import { findLoadedAspects } from './powder.js';
+import { summarizeWeather, unscoredReason } from './pipeline.js';
+import { snowfallStations } from './snowfall-grid.js';
+import { RAMPS, rampGradientCss, addOverlayToMap, setOverlayStyle, removeOverlayFromMap, addCrustLayerToMap, removeCrustLayerFromMap, crustGradientCss } from './overlay.js';
+import { createPowderWorker } from './worker-client.js';
+import { getTileCacheStats, clearTileCache } from './terrain-cache.js';
+import { withSnapshot } from './snapshots.js';
+import { EXPORT_FORMATS, serializeZones, downloadText } from './export.js';
+import { fetchRuns, parseRuns, rankRuns, addRunsToMap, removeRunsFromMap, moveRunsToTop, highlightRun, featureBounds } from './runs.js';
+import { fetchLifts, parseLifts, periodLiftHours } from './traffic.js';
+import { MODEL_PARAMS, resolveModel, presetModel, matchPreset } from './model.js';
+import { readUrlState, writeUrlState } from './url-state.js';
+import { degreesToCardinal, formatInches, clamp } from './utils.js';
 
 // ── State ───────────────────────────────────────────────────────────
 
-let currentHours = 24;
-let cachedTerrain = null;
+// Everything a shared link can set (url-state.js); defaults where it doesn't
+const urlState = readUrlState();
+
+let currentHours = urlState.hours ?? 24;
+let area = null;           // active area profile
+let viewMode = urlState.mode ?? 'recent'; // 'recent' | 'forecast' | 'replay'
+let replayRange = urlState.range; // { start, end } as YYYY-MM-DD while replaying
+let model = resolveModel(urlState.model); // scoring weights and thresholds (model.js)
+let lastLoad = null;       // { view, inputs } of the last fetch, for rescoring with a new model
+let cachedTerrain = null;  // { width, height, cellSize } of the grid held by the worker
 let cachedResort = null;
+let cachedResortAt = null; // when cachedResort was fetched
+let scoreJob = null;       // in-flight worker scoring job, cancelled when superseded
+let loadGeneration = 0;    // bumped by each loadAndRender; older loads bow out
+let shownScoreId = null;   // worker job id of the scores on the map, for inspect
+let shownScores = null;    // score grid on the map, for run rankings
+let shownCrust = null;     // sun-crust risk grid for the shown scores, if any
+let runsCollection = null; // parsed runs GeoJSON for this area (runs.js)
+let runPixels = null;      // grid pixels per run, from the worker
+let liftsData = null;      // parsed lifts file for this area (traffic.js)
+let liftsSent = null;      // lifts the worker's access grid was built from
+let shownWeather = null;   // weather summary behind the shown scores, for retiming
+let shownGeneration = null; // loadGeneration the shown scores belong to
+let retimeJob = null;      // scoreJob when it only retimes the shown scores
+let trafficHour = urlState.hour; // time-of-day slider, local hours
+let overlayStyle = { ramp: 'hotspots', threshold: OVERLAY_THRESHOLD, opacity: OVERLAY_OPACITY, ...urlState.style };
+
+const powderWorker = createPowderWorker();
 
 // ── UI helpers ──────────────────────────────────────────────────────
 
@@ -23,6 +59,14 @@ function hideStatus() {
   document.getElementById('status-message').classList.add('hidden');
 }
 
+/**
+ * Show a status message that clears itself after a few seconds.
+ */
+function flashStatus(msg) {
+  showStatus(msg);
+  setTimeout(hideStatus, 3000);
+}
+
 function showWeatherError(msg) {
   document.getElementById('weather-loading').classList.add('hidden');
   document.getElementById('weather-content').classList.add('hidden');
@@ -31,20 +75,64 @@ function showWeatherError(msg) {
   err.classList.remove('hidden');
 }
 
-function updateWeatherPanel(snowfall, snotel, resortSnow, wind, hours) {
+/**
+ * Fill in the weather panel for a summarized period (summarizeWeather).
+ */
+function updateWeatherPanel(weather, view) {
+  const { snotel, totalSnowfall, resortSnowfall, wind, windLoading, snowLine, solar, fusion, stations, dataWarnings } = weather;
   document.getElementById('weather-loading').classList.add('hidden');
   document.getElementById('weather-error').classList.add('hidden');
   const content = document.getElementById('weather-content');
   content.classList.remove('hidden');
 
-  document.getElementById('snowfall-label').textContent = `${hours}h Snowfall`;
-  document.getElementById('snowfall-value').textContent = formatInches(snowfall);
+  document.getElementById('snowfall-label').textContent = snowfallLabel(view);
+  document.getElementById('snowfall-value').textContent = formatInches(totalSnowfall);
+
+  if (view.mode === 'forecast') {
+    // Forecast has a single source; show the liquid it was derived from
+    document.getElementById('snow-sources-label').textContent = 'Forecast Precip';
+    document.getElementById('snow-sources-value').textContent =
+      snotel ? formatInches(snotel.totalPrecip) : '—';
+  } else {
+    // Show both sources
+    const snotelStr = snotel ? formatInches(snotel.totalSnowfall) : '—';
+    const resortStr = resortSnowfall != null ? formatInches(resortSnowfall) : '—';
+    document.getElementById('snow-sources-label').textContent = 'SNOTEL / Resort';
+    document.getElementById('snow-sources-value').textContent =
+      `${snotelStr} / ${resortStr}`;
+  }
+
+  // Other stations the snowfall is interpolated from
+  const others = stations.filter(s => !s.primary);
+  document.getElementById('stations-row').classList.toggle('hidden', others.length === 0);
+  document.getElementById('stations-value').textContent =
+    others.map(s => `${s.name} ${formatInches(s.snowfall)}`).join(' · ');
+
+  // How far the fused snowfall can be trusted, and why
+  const confidence = document.getElementById('confidence-value');
+  confidence.className = `value confidence ${fusion.confidence}`;
+  confidence.textContent = fusion.confidence === 'none'
+    ? '—'
+    : fusion.confidence[0].toUpperCase() + fusion.confidence.slice(1);
+  confidence.title = fusion.estimates
+    .map(e => `${e.label}: ${formatInches(e.value)} (weight ${e.weight.toFixed(2)}${e.outlier ? ', outlier' : ''})`)
+    .join('\n');
+  const notes = document.getElementById('fusion-notes');
+  notes.replaceChildren(...fusion.notes.map(note => {
+    const li = document.createElement('li');
+    li.textContent = note;
+    return li;
+  }));
+  notes.classList.toggle('hidden', fusion.notes.length === 0);
 
-  // Show both sources
-  const snotelStr = snotel ? formatInches(snotel.totalSnowfall) : '—';
-  const resortStr = resortSnow != null ? formatInches(resortSnow) : '—';
-  document.getElementById('snow-sources-value').textContent =
-    `${snotelStr} / ${resortStr}`;
+  // Gaps, glitches and suspect readings in the station data
+  const warnings = document.getElementById('data-warnings');
+  warnings.replaceChildren(...dataWarnings.map(warning => {
+    const li = document.createElement('li');
+    li.textContent = warning;
+    return li;
+  }));
+  warnings.classList.toggle('hidden', dataWarnings.length === 0);
 
   if (wind) {
     document.getElementById('wind-value').textContent = `${wind.avgSpeed.toFixed(0)} mph`;
@@ -57,179 +145,1079 @@ function updateWeatherPanel(snowfall, snotel, resortSnow, wind, hours) {
     document.getElementById('gust-value').textContent = 'N/A';
   }
 
+  document.getElementById('temp-value').textContent =
+    snotel && snotel.tempF != null ? `${snotel.tempF.toFixed(0)}°F` : '—';
+  document.getElementById('density-value').textContent =
+    snotel && snotel.snowDensity != null
+      ? `${(snotel.snowDensity * 100).toFixed(0)}% (${snotel.snowRatio.toFixed(0)}:1)`
+      : '—';
+  document.getElementById('snow-line-value').textContent =
+    snowLine ? formatFeet(snowLine.rainSnowLineFt) : '—';
+  document.getElementById('freezing-level-value').textContent =
+    snowLine ? formatFeet(snowLine.freezingLevelFt) : '—';
+
+  const loaded = windLoading ? findLoadedAspects(windLoading) : [];
+  document.getElementById('loaded-value').textContent = loaded.length
+    ? loaded.slice(0, 3).map(p => degreesToCardinal(p.aspect)).join(', ')
+    : '—';
+
+  const sun = document.getElementById('sun-value');
+  sun.textContent = solar ? `${solar.sunHours} h` : '—';
+  sun.title = solar && solar.stormEnd
+    ? `Clear-sky hours with the sun up since precipitation ended ${new Date(solar.stormEnd).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })}`
+    : 'Clear-sky hours with the sun up since the last hour of precipitation';
+
   const now = new Date();
-  document.getElementById('last-updated').textContent =
-    `Updated ${now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  let updated = `Updated ${now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  if (view.mode === 'replay') updated = `Replay of ${view.range.start} → ${view.range.end}`;
+  else if (oldestSnapshot(view)) updated = ''; // the offline badge says how old
+  document.getElementById('last-updated').textContent = updated;
+}
+
+/**
+ * Time of the oldest snapshot a view fell back to, or null if all fresh.
+ */
+function oldestSnapshot(view) {
+  const times = Object.values(view.snapshots);
+  return times.length ? Math.min(...times) : null;
+}
+
+/**
+ * Show "offline – data from 5:42am" while any source is a saved snapshot.
+ */
+function updateOfflineBadge(view) {
+  const badge = document.getElementById('offline-badge');
+  const savedAt = oldestSnapshot(view);
+  badge.classList.toggle('hidden', !savedAt);
+  if (!savedAt) return;
+
+  const saved = new Date(savedAt);
+  const time = saved.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+    .replace(/\s/g, '')
+    .toLowerCase();
+  const day = saved.toDateString() === new Date().toDateString()
+    ? ''
+    : `${saved.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })} `;
+  badge.textContent = `Offline – data from ${day}${time}`;
+  badge.title = `Couldn't reach: ${Object.keys(view.snapshots).join(', ')}. Showing the last saved data.`;
+}
+
+function snowfallLabel(view) {
+  if (view.mode === 'forecast') return `Next ${view.hours}h Snowfall`;
+  if (view.mode === 'replay') return `${view.range.start.slice(5)} → ${view.range.end.slice(5)} Snow`;
+  return `${view.hours}h Snowfall`;
+}
+
+function formatFeet(ft) {
+  return `${(Math.round(ft / 100) * 100).toLocaleString()} ft`;
 }
 
 function updateToggleUI(hours) {
-  document.querySelectorAll('.time-btn').forEach(btn => {
-    btn.classList.toggle('active', parseInt(btn.dataset.hours) === hours);
+  document.querySelectorAll('.time-btn[data-hours]').forEach(btn => {
+    btn.classList.toggle('active', viewMode !== 'replay' && parseInt(btn.dataset.hours) === hours);
+  });
+  document.getElementById('forecast-btn').classList.toggle('active', viewMode === 'forecast');
+  document.getElementById('replay-btn').classList.toggle('active', viewMode === 'replay');
+}
+
+/**
+ * Check a replay date range; returns an error message or null if usable.
+ */
+function validateReplayRange(start, end) {
+  if (!start || !end) return 'Pick a start and end date to replay.';
+  if (end < start) return 'Replay end date is before the start date.';
+  const today = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD, local
+  if (end >= today) return 'Replay only covers past days — use the 12h/24h/48h buttons for today.';
+  const latest = latestReplayDate();
+  if (end > latest) {
+    return `Replay can end no later than ${latest} — the weather archive runs ${WIND_ARCHIVE_LAG_DAYS} days behind.`;
+  }
+  const days = (Date.parse(end) - Date.parse(start)) / 86400000 + 1;
+  if (days > REPLAY_MAX_DAYS) return `Replay ranges are limited to ${REPLAY_MAX_DAYS} days.`;
+  return null;
+}
+
+/**
+ * The last day (YYYY-MM-DD, local) the weather archive has for a replay.
+ */
+function latestReplayDate() {
+  const date = new Date();
+  date.setDate(date.getDate() - WIND_ARCHIVE_LAG_DAYS);
+  return date.toLocaleDateString('en-CA');
+}
+
+// ── Weather fetches per view mode ───────────────────────────────────
+
+/**
+ * Settle a fetch for a view against its last-known snapshot (snapshots.js).
+ * Resolves to the fresh value, else the snapshot (recording its time in
+ * view.snapshots), else null. Data that came back unusable is noted in
+ * view.errors for the weather panel.
+ */
+function withFallback(view, label, key, promise) {
+  return withSnapshot(`${view.area.id}/${key}`, promise)
+    .then(({ value, savedAt }) => {
+      if (savedAt) {
+        console.warn(`${label} fetch failed — using data saved ${new Date(savedAt).toLocaleString()}`);
+        view.snapshots[label] = savedAt;
+      }
+      return value;
+    })
+    .catch(err => {
+      console.error(`${label} fetch failed:`, err);
+      if (err.name !== 'FetchError') view.errors[label] = err.message;
+      return null;
+    });
+}
+
+/**
+ * Start the SNOTEL-equivalent and hourly wind fetches for a view.
+ * Returns [snotelPromise, windPromise]; each resolves to null on failure
+ * with no saved snapshot. Forecast mode has no SNOTEL side — the forecast
+ * itself carries precip — and neither has an area without a station of its own.
+ */
+function weatherFetches(view) {
+  const { area: a, hours } = view;
+
+  if (view.mode === 'forecast') {
+    return [Promise.resolve(null), withFallback(view, 'Forecast', `forecast/${hours}h`, fetchForecastData(a, hours))];
+  }
+  if (view.mode === 'replay') {
+    const { start, end } = view.range;
+    return [
+      a.snotel ? withFallback(view, 'SNOTEL', `snotel/${start}_${end}`, fetchSnotelRange(a, start, end)) : Promise.resolve(null),
+      withFallback(view, 'Wind archive', `wind/${start}_${end}`, fetchWindRange(a, start, end)),
+    ];
+  }
+  return [
+    a.snotel ? withFallback(view, 'SNOTEL', `snotel/${hours}h`, fetchSnotelData(a, hours)) : Promise.resolve(null),
+    withFallback(view, 'Wind', `wind/${hours}h`, fetchWindData(a, hours)),
+  ];
+}
+
+/**
+ * Fetch the area's nearby SNOTEL stations for a view (none for the forecast,
+ * which has its own single grid point). Resolves to [{ site, summary }] for
+ * the stations that answered.
+ */
+function nearbyStationFetches(view) {
+  const { area: a, hours } = view;
+  if (view.mode === 'forecast') return Promise.resolve([]);
+
+  return Promise.all(a.nearbySnotel.map(site => {
+    const label = `SNOTEL ${site.name}`;
+    const request = view.mode === 'replay'
+      ? withFallback(view, label, `snotel/${site.station}/${view.range.start}_${view.range.end}`,
+        fetchSnotelRange(a, view.range.start, view.range.end, site))
+      : withFallback(view, label, `snotel/${site.station}/${hours}h`, fetchSnotelData(a, hours, site));
+    return request.then(summary => summary && { site, summary });
+  })).then(results => results.filter(Boolean));
+}
+
+// ── Offline support ─────────────────────────────────────────────────
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('sw.js').catch(err => {
+    console.error('Service worker registration failed:', err);
   });
 }
 
 // ── Data loading + rendering ────────────────────────────────────────
 
 async function loadAndRender(hours) {
-  showStatus('Loading powder data…');
+  // A newer window supersedes any scoring still running in the worker, and
+  // any load still waiting on its fetches
+  const generation = ++loadGeneration;
+  cancelScoring();
+  syncUrl();
+
+  const view = { mode: viewMode, hours, range: replayRange, area, snapshots: {}, errors: {} };
+  const forecast = view.mode === 'forecast';
+  showStatus(forecast ? 'Loading powder forecast…' : 'Loading powder data…');
 
   try {
-    // Fetch SNOTEL + wind fresh for the selected period; resort + terrain are cached
-    const fetches = [
-      fetchSnotelData(hours).catch(err => {
-        console.error('SNOTEL fetch failed:', err);
-        return null;
-      }),
-      fetchWindData(hours).catch(err => {
-        console.error('Wind fetch failed:', err);
-        return null;
-      }),
-    ];
+    // Fetch SNOTEL + wind fresh for the selected period (or the forecast,
+    // which carries wind, precip and temperature); resort + terrain are cached
+    const fetches = weatherFetches(view);
+    const nearbyFetch = nearbyStationFetches(view);
 
     // Fetch resort data once (it has 12/24/48h fields already)
     if (!cachedResort) {
-      fetches.push(
-        fetchResortSnow().catch(err => {
-          console.error('Resort API fetch failed:', err);
-          return null;
-        })
-      );
+      fetches.push(withFallback(view, 'Resort', 'resort', fetchResortSnow(view.area)));
     }
 
-    // Fetch terrain once
+    // Load terrain into the worker once
     if (!cachedTerrain) {
       fetches.push(
-        fetchTerrainGrid(BOUNDS, TERRAIN_ZOOM, MAPBOX_TOKEN).catch(err => {
-          console.error('Terrain fetch failed:', err);
+        powderWorker.loadTerrain(view.area, TERRAIN_ZOOM, MAPBOX_TOKEN, showStatus).promise.catch(err => {
+          if (err.name !== 'AbortError') console.error('Terrain fetch failed:', err);
           return null;
         })
       );
     }
 
-    const results = await Promise.all(fetches);
+    const [results, nearby] = await Promise.all([Promise.all(fetches), nearbyFetch]);
+
+    // Window, mode or area changed while loading — the newer load takes over
+    if (generation !== loadGeneration) return;
 
-    const snotel = results[0];
     const windData = results[1];
+    // In forecast mode the forecast stands in for SNOTEL as the snowfall source
+    const snotel = forecast
+      ? (windData && windData.hourly ? summarizeForecast(windData) : null)
+      : results[0];
     let idx = 2;
 
+    let resort = cachedResort;
     if (!cachedResort && results.length > idx) {
-      cachedResort = results[idx];
+      resort = results[idx];
+      // Keep retrying the live feed while running on a snapshot
+      if (!view.snapshots.Resort) {
+        cachedResort = resort;
+        cachedResortAt = Date.now();
+      }
       idx++;
     }
     if (!cachedTerrain && results.length > idx) {
       cachedTerrain = results[idx];
+      refreshCacheStats();
     }
 
-    // Process wind
-    let wind = null;
-    if (windData && windData.hourly) {
-      wind = computeDominantWind(windData.hourly);
-    }
+    // Resort reports only cover the last 12/24/48h from now
+    const resortSnowfall = view.mode === 'recent' ? getResortSnowForPeriod(resort, hours) : null;
+    const resortAt = view.snapshots.Resort || (resort === cachedResort ? cachedResortAt : null);
+    const resortAgeHours = resortAt ? (Date.now() - resortAt) / 3600000 : null;
+    const stations = snowfallStations(view.area, snotel, nearby);
 
-    // Average SNOTEL + resort for the selected period
-    const snotelSnowfall = snotel ? snotel.totalSnowfall : null;
-    const resortSnowfall = getResortSnowForPeriod(cachedResort, hours);
-    const totalSnowfall = averageSnowfall(snotelSnowfall, resortSnowfall);
-    const totalPrecip = snotel ? snotel.totalPrecip : 0;
+    const inputs = { snotel, resortSnowfall, resortAgeHours, stations, windData };
+    lastLoad = { view, inputs };
+    await renderWeather(view, inputs, generation);
 
-    console.log(`${hours}h Snow — SNOTEL: ${snotelSnowfall?.toFixed(1)}", Resort: ${resortSnowfall}", Avg: ${totalSnowfall.toFixed(1)}"`);
+  } catch (err) {
+    console.error('Error loading powder map:', err);
+    hideStatus();
+    showStatus('Error loading data. See console for details.');
+  }
+}
 
-    if (snotel || cachedResort) {
-      updateWeatherPanel(totalSnowfall, snotel, resortSnowfall, wind, hours);
-    } else {
-      showWeatherError();
-    }
+/**
+ * Summarize fetched weather with the current model, fill in the panel and
+ * score the terrain for the overlay. Stops short of the map once a newer
+ * load than `generation` has started.
+ */
+async function renderWeather(view, inputs, generation) {
+  const { snotel, resortSnowfall, resortAgeHours, stations, windData } = inputs;
+  const { hours } = view;
+  const forecast = view.mode === 'forecast';
 
-    // Can't render overlay without terrain
-    if (!cachedTerrain) {
-      hideStatus();
-      showStatus('Terrain data unavailable. Check your Mapbox token.');
-      return;
-    }
+  const weather = summarizeWeather(snotel, windData, resortSnowfall, resortAgeHours, stations, model);
+  const { totalSnowfall, snotelSnowfall, fusion } = weather;
 
-    // No meaningful snow → remove overlay
-    if (totalSnowfall < 0.5) {
-      removeOverlay();
-      hideStatus();
-      console.log(`Only ${totalSnowfall.toFixed(2)}" snowfall in last ${hours}h — overlay not shown`);
-      return;
-    }
+  console.log(`${hours}h Snow — SNOTEL: ${snotelSnowfall?.toFixed(1)}", Resort: ${resortSnowfall}", Fused: ${totalSnowfall.toFixed(1)}" (${fusion.confidence} confidence)`);
 
-    // No wind data → remove overlay
-    if (!wind) {
-      removeOverlay();
-      hideStatus();
-      console.log('No wind data — overlay not shown');
-      return;
-    }
+  updateOfflineBadge(view);
 
-    // Compute powder scores
-    const scores = computePowderScores(
-      cachedTerrain.aspectGrid,
-      wind.direction,
-      totalSnowfall,
-      totalPrecip,
-      wind.avgSpeed,
-      cachedTerrain.width,
-      cachedTerrain.height
-    );
+  if (snotel || resortSnowfall != null || stations.length > 0) {
+    updateWeatherPanel(weather, view);
+  } else {
+    const errors = Object.entries(view.errors).map(([label, message]) => `${label}: ${message}`);
+    showWeatherError(errors.length ? errors.join('. ') : undefined);
+  }
 
-    // Render overlay image
-    const imageUrl = await renderOverlay(scores, cachedTerrain.width, cachedTerrain.height);
+  // Can't render overlay without terrain
+  if (!cachedTerrain) {
+    hideStatus();
+    showStatus('Terrain data unavailable. Check your Mapbox token.');
+    return;
+  }
 
-    // Get the actual geographic bounds of the stitched tile grid
-    const gridBounds = getGridBounds(BOUNDS, TERRAIN_ZOOM);
+  const reason = unscoredReason(weather);
 
-    // Add to map
-    addOverlayToMap(map, imageUrl, gridBounds);
+  // No meaningful snow → remove overlay
+  if (reason === 'no-snow') {
+    removeOverlay();
+    hideStatus();
+    console.log(`Only ${totalSnowfall.toFixed(2)}" snowfall in ${forecast ? 'next' : 'last'} ${hours}h — overlay not shown`);
+    return;
+  }
 
+  // No wind data → remove overlay
+  if (reason === 'no-wind') {
+    removeOverlay();
     hideStatus();
-    console.log(`Powder overlay rendered for ${hours}h window`);
+    console.log('No wind data — overlay not shown');
+    return;
+  }
 
+  // Compute powder scores and overlay pixels in the worker
+  await syncLifts();
+  if (generation !== loadGeneration) return;
+  const job = powderWorker.score(weather, hoursOpen(weather), showStatus);
+  scoreJob = job;
+  let result;
+  try {
+    result = await job.promise;
   } catch (err) {
-    console.error('Error loading powder map:', err);
+    // Superseded by another window, area or model — its load takes over
+    if (err.name === 'AbortError') return;
+    throw err;
+  } finally {
+    if (scoreJob === job) scoreJob = null;
+  }
+  // Finished just as a newer load cancelled it
+  if (generation !== loadGeneration) return;
+
+  // Get the actual geographic bounds of the stitched tile grid
+  const gridBounds = getGridBounds(view.area.bounds, TERRAIN_ZOOM);
+
+  // Upload the full-res grid to the GPU layer
+  addOverlayToMap(map, result.scores, result.width, result.height, gridBounds, overlayStyle);
+  shownScoreId = job.id;
+  shownScores = result.scores;
+  shownCrust = result.crust;
+  shownWeather = weather;
+  shownGeneration = generation;
+  updateCrustLayer();
+  moveRunsToTop(map);
+  updateRunRanking();
+
+  hideStatus();
+  console.log(`Powder overlay rendered for ${forecast ? 'forecast ' : ''}${hours}h window`);
+}
+
+/**
+ * Rescore the last fetched window after a model change, without refetching.
+ */
+async function rescore() {
+  if (!lastLoad || lastLoad.view.area !== area) return;
+  cancelScoring();
+  showStatus('Rescoring…');
+  try {
+    await renderWeather(lastLoad.view, lastLoad.inputs, loadGeneration);
+  } catch (err) {
+    console.error('Rescoring failed:', err);
     hideStatus();
-    showStatus('Error loading data. See console for details.');
+    showStatus('Error scoring terrain. See console for details.');
+  }
+}
+
+function cancelScoring() {
+  if (scoreJob) {
+    scoreJob.cancel();
+    scoreJob = null;
   }
 }
 
 function removeOverlay() {
-  if (map.getLayer('powder-overlay-layer')) {
-    map.removeLayer('powder-overlay-layer');
+  removeOverlayFromMap(map);
+  removeCrustLayerFromMap(map);
+  shownScoreId = null;
+  shownScores = null;
+  shownCrust = null;
+  shownWeather = null;
+  shownGeneration = null;
+  inspectPopup.remove();
+  renderRunList();
+}
+
+// ── Run ranking ─────────────────────────────────────────────────────
+
+/**
+ * Replace the runs for this area (bundled or uploaded) and re-rank.
+ */
+function setRuns(collection) {
+  runsCollection = collection;
+  runPixels = null;
+  if (collection) {
+    addRunsToMap(map, collection);
+  } else {
+    removeRunsFromMap(map);
+  }
+  updateRunRanking();
+}
+
+/**
+ * Load the active area's bundled runs file, if it has one.
+ */
+function loadAreaRuns() {
+  setRuns(null);
+  if (!area.runs) return;
+
+  const forArea = area;
+  fetchRuns(area.runs)
+    .then(collection => {
+      if (area === forArea) setRuns(collection);
+    })
+    .catch(err => console.error('Runs fetch failed:', err));
+}
+
+/**
+ * Rasterize the runs in the worker if needed, then rank them against the
+ * scores on the map.
+ */
+async function updateRunRanking() {
+  if (runsCollection && cachedTerrain && !runPixels) {
+    const collection = runsCollection;
+    try {
+      const pixels = await powderWorker.rasterizeRuns(collection).promise;
+      // Runs or area replaced meanwhile
+      if (runsCollection !== collection) return;
+      runPixels = pixels;
+    } catch (err) {
+      console.error('Run rasterizing failed:', err);
+      return;
+    }
+  }
+  renderRunList();
+}
+
+function renderRunList() {
+  const list = document.getElementById('runs-list');
+  const note = document.getElementById('runs-note');
+  list.replaceChildren();
+
+  if (!runsCollection) {
+    note.textContent = 'No runs loaded for this area.';
+    return;
+  }
+  if (!runPixels || !shownScores) {
+    note.textContent = 'No scores for this window.';
+    return;
+  }
+
+  const ranked = rankRuns(runPixels, shownScores).slice(0, RUN_LIST_LENGTH);
+  note.textContent = ranked.length ? '' : 'No runs inside the terrain grid.';
+
+  for (const run of ranked) {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    const score = document.createElement('span');
+    name.className = 'run-name';
+    name.textContent = run.name;
+    score.className = 'run-score';
+    score.textContent = `${run.p90.toFixed(2)} · ${Math.round(run.goodShare * 100)}%`;
+    item.title = `Mean ${run.mean.toFixed(2)} · 90th percentile ${run.p90.toFixed(2)} · ` +
+      `${Math.round(run.goodShare * 100)}% of the run scores ${RUN_GOOD_SCORE}+`;
+    item.append(name, score);
+
+    item.addEventListener('mouseenter', () => highlightRun(map, run.id));
+    item.addEventListener('mouseleave', () => highlightRun(map, null));
+    item.addEventListener('click', () => {
+      const feature = runsCollection.features.find(f => f.id === run.id);
+      if (feature) map.fitBounds(featureBounds(feature), { padding: 80, maxZoom: 15 });
+    });
+
+    list.append(item);
+  }
+}
+
+document.getElementById('runs-file').addEventListener('change', async e => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    setRuns(parseRuns(JSON.parse(await file.text())));
+  } catch (err) {
+    console.error('Runs file rejected:', err);
+    flashStatus(`Couldn't load runs: ${err.message}`);
+  }
+  e.target.value = '';
+});
+
+// ── Skier traffic ───────────────────────────────────────────────────
+
+const trafficHourInput = document.getElementById('traffic-hour');
+
+/**
+ * "1:30pm" for a fractional local hour.
+ */
+function formatHour(hour) {
+  const h = Math.floor(hour);
+  const m = Math.round((hour - h) * 60);
+  return `${h % 12 || 12}:${String(m).padStart(2, '0')}${h < 12 ? 'am' : 'pm'}`;
+}
+
+/**
+ * Lift hours since the storm at the slider's time of day, or 0 without lifts.
+ */
+function hoursOpen(weather) {
+  if (!liftsData || trafficHour == null) return 0;
+  return periodLiftHours(weather, trafficHour, area.liftHours);
+}
+
+/**
+ * Replace the lifts for this area (bundled or uploaded) and rescore the
+ * shown window for them.
+ */
+async function setLifts(lifts) {
+  liftsData = lifts;
+  trafficHourInput.disabled = !lifts;
+  document.getElementById('traffic-note').textContent = lifts ? '' : 'No lifts loaded for this area.';
+  if (shownWeather) {
+    await syncLifts();
+    retime();
+  }
+}
+
+/**
+ * Load the active area's bundled lifts file, if it has one, and put the
+ * slider within its lift hours: where it was (or the link put it), else the
+ * current time of day when looking back, else 1pm.
+ */
+function loadAreaLifts() {
+  const { open, close } = area.liftHours;
+  const now = new Date();
+  const hour = viewMode === 'recent' ? now.getHours() + (now.getMinutes() >= 30 ? 0.5 : 0) : 13;
+  trafficHour = clamp(trafficHour ?? hour, open, close);
+  trafficHourInput.min = open;
+  trafficHourInput.max = close;
+  trafficHourInput.value = trafficHour;
+  document.getElementById('traffic-hour-value').textContent = formatHour(trafficHour);
+
+  liftsSent = null;
+  setLifts(null);
+  if (!area.lifts) return;
+
+  const forArea = area;
+  fetchLifts(area.lifts)
+    .then(lifts => {
+      if (area === forArea) setLifts(lifts);
+    })
+    .catch(err => console.error('Lifts fetch failed:', err));
+}
+
+/**
+ * Build the worker's lift travel times if the lifts or terrain changed.
+ */
+async function syncLifts() {
+  if (!cachedTerrain || liftsSent === liftsData) return;
+
+  const lifts = liftsData;
+  liftsSent = lifts;
+  let result;
+  try {
+    result = await powderWorker.setLifts(lifts, showStatus).promise;
+  } catch (err) {
+    console.error('Lift access failed:', err);
+    liftsSent = null;
+    return;
+  }
+  if (lifts && liftsData === lifts) {
+    document.getElementById('traffic-note').textContent = result
+      ? `${lifts.lifts.length} lifts · ${lifts.groomers.length} groomers`
+      : 'No lifts or groomers inside the terrain grid.';
+  }
+}
+
+/**
+ * Rescore the shown window for the slider's time of day; only the tracked
+ * grid changes, so the worker reuses everything else.
+ */
+async function retime() {
+  if (!shownWeather) return;
+  // A load or model change still scoring read the slider when it started;
+  // score it again from the new hour rather than cancel it
+  if (scoreJob && scoreJob !== retimeJob) {
+    rescore();
+    return;
+  }
+  // A load still fetching reads the slider when it gets to scoring
+  const generation = loadGeneration;
+  if (shownGeneration !== generation) return;
+  cancelScoring();
+
+  const job = powderWorker.retime(hoursOpen(shownWeather), showStatus);
+  scoreJob = job;
+  retimeJob = job;
+  let result;
+  try {
+    result = await job.promise;
+  } catch (err) {
+    if (err.name !== 'AbortError') console.error('Rescoring for traffic failed:', err);
+    return;
+  } finally {
+    if (scoreJob === job) scoreJob = null;
+    if (retimeJob === job) retimeJob = null;
   }
-  if (map.getSource('powder-overlay')) {
-    map.removeSource('powder-overlay');
+  if (generation !== loadGeneration) return;
+
+  const gridBounds = getGridBounds(area.bounds, TERRAIN_ZOOM);
+  addOverlayToMap(map, result.scores, result.width, result.height, gridBounds, overlayStyle);
+  shownScoreId = job.id;
+  shownScores = result.scores;
+  moveRunsToTop(map);
+  updateRunRanking();
+  hideStatus();
+}
+
+trafficHourInput.addEventListener('input', () => {
+  trafficHour = parseFloat(trafficHourInput.value);
+  document.getElementById('traffic-hour-value').textContent = formatHour(trafficHour);
+});
+trafficHourInput.addEventListener('change', () => {
+  syncUrl();
+  retime();
+});
+
+document.getElementById('lifts-file').addEventListener('change', async e => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    await setLifts(parseLifts(JSON.parse(await file.text())));
+  } catch (err) {
+    console.error('Lifts file rejected:', err);
+    flashStatus(`Couldn't load lifts: ${err.message}`);
   }
+  e.target.value = '';
+});
+
+// ── Area profiles ───────────────────────────────────────────────────
+
+function applyAreaUI(profile) {
+  document.title = `Powder Map – ${profile.name}`;
+  document.getElementById('area-select').value = profile.id;
 }
 
+/**
+ * Switch to another area profile: drop per-area caches, move the map and
+ * record the choice in the URL so links open the same area.
+ */
+async function switchArea(id) {
+  let profile;
+  try {
+    profile = await fetchProfile(id);
+  } catch (err) {
+    console.error('Profile load failed:', err);
+    showStatus(`Couldn't load area "${id}".`);
+    applyAreaUI(area);
+    return;
+  }
+
+  area = profile;
+  cancelScoring();
+  cachedTerrain = null;
+  cachedResort = null;
+  cachedResortAt = null;
+  lastLoad = null;
+  removeOverlay();
+  loadAreaRuns();
+  loadAreaLifts();
+  applyAreaUI(area);
+
+  map.jumpTo({ center: [area.center.lon, area.center.lat], zoom: area.zoom });
+  loadAndRender(viewHours());
+}
+
+const profileIndex = await fetchProfileIndex().catch(err => {
+  console.error('Profile index fetch failed:', err);
+  return [];
+});
+
+const areaSelect = document.getElementById('area-select');
+for (const { id, name } of profileIndex) {
+  areaSelect.add(new Option(name, id));
+}
+
+try {
+  area = await fetchProfile(resolveProfileId(profileIndex));
+} catch (err) {
+  showStatus('Area profile unavailable. See console for details.');
+  throw err;
+}
+applyAreaUI(area);
+
+areaSelect.addEventListener('change', () => switchArea(areaSelect.value));
+
 // ── Map init ────────────────────────────────────────────────────────
 
 mapboxgl.accessToken = MAPBOX_TOKEN;
 
+const startView = urlState.view || { lat: area.center.lat, lon: area.center.lon, zoom: area.zoom, bearing: 0, pitch: 0 };
+
 const map = new mapboxgl.Map({
   container: 'map',
   style: MAP_STYLE,
-  center: [CENTER.lon, CENTER.lat],
-  zoom: MAP_ZOOM
+  center: [startView.lon, startView.lat],
+  zoom: startView.zoom,
+  bearing: startView.bearing,
+  pitch: startView.pitch,
+  // The score layer is drawn in Web Mercator, like the terrain tiles
+  projection: 'mercator'
 });
 
 map.addControl(new mapboxgl.NavigationControl(), 'top-right');
 
+// ── Shareable URL ───────────────────────────────────────────────────
+
+/**
+ * Mirror the window, map view, overlay style and model into the URL, so
+ * the address bar is always a link to this exact map.
+ */
+function syncUrl() {
+  const center = map.getCenter();
+  writeUrlState({
+    area: area.id,
+    mode: viewMode,
+    hours: currentHours,
+    range: replayRange,
+    view: { lat: center.lat, lon: center.lng, zoom: map.getZoom(), bearing: map.getBearing(), pitch: map.getPitch() },
+    style: overlayStyle,
+    crust: crustToggle.checked,
+    hour: area.lifts || liftsData ? trafficHour : null,
+    model
+  });
+}
+
+/**
+ * Hours the current window covers: the chosen 12/24/48h, or the replay
+ * range's days.
+ */
+function viewHours() {
+  if (viewMode !== 'replay') return currentHours;
+  return (Date.parse(replayRange.end) - Date.parse(replayRange.start)) / 3600000 + 24;
+}
+
+map.on('moveend', syncUrl);
+
+document.getElementById('share-btn').addEventListener('click', async () => {
+  syncUrl();
+  try {
+    await navigator.clipboard.writeText(window.location.href);
+    flashStatus('Link copied.');
+  } catch (err) {
+    console.error('Copying link failed:', err);
+    flashStatus("Couldn't copy the link — copy it from the address bar.");
+  }
+});
+
 // ── Time toggle ─────────────────────────────────────────────────────
 
-document.querySelectorAll('.time-btn').forEach(btn => {
+document.querySelectorAll('.time-btn[data-hours]').forEach(btn => {
   btn.addEventListener('click', () => {
     const hours = parseInt(btn.dataset.hours);
-    if (hours === currentHours) return;
+    if (hours === currentHours && viewMode !== 'replay') return;
     currentHours = hours;
+    // Picking a window leaves replay
+    if (viewMode === 'replay') viewMode = 'recent';
     updateToggleUI(hours);
     loadAndRender(hours);
   });
 });
 
+// Forecast flips the same 12/24/48h windows from looking back to looking ahead
+document.getElementById('forecast-btn').addEventListener('click', () => {
+  viewMode = viewMode === 'forecast' ? 'recent' : 'forecast';
+  updateToggleUI(currentHours);
+  loadAndRender(currentHours);
+});
+
+// ── Historical replay ───────────────────────────────────────────────
+
+document.getElementById('replay-btn').addEventListener('click', () => {
+  const start = document.getElementById('replay-start').value;
+  const end = document.getElementById('replay-end').value;
+  const error = validateReplayRange(start, end);
+  if (error) {
+    flashStatus(error);
+    return;
+  }
+
+  viewMode = 'replay';
+  replayRange = { start, end };
+  updateToggleUI(currentHours);
+  loadAndRender(viewHours());
+});
+
+for (const id of ['replay-start', 'replay-end']) document.getElementById(id).max = latestReplayDate();
+
+// A shared replay link fills in the picker; one that can't be replayed
+// falls back to the recent window
+if (viewMode === 'replay') {
+  if (validateReplayRange(replayRange.start, replayRange.end)) {
+    viewMode = 'recent';
+    replayRange = null;
+  } else {
+    document.getElementById('replay-start').value = replayRange.start;
+    document.getElementById('replay-end').value = replayRange.end;
+  }
+}
+
+// ── Terrain cache ───────────────────────────────────────────────────
+
+function formatMB(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+async function refreshCacheStats() {
+  const { tiles, bytes, budget } = await getTileCacheStats();
+  document.getElementById('cache-stats').textContent =
+    `Terrain cache: ${tiles} tiles · ${formatMB(bytes)} of ${formatMB(budget)}`;
+}
+
+document.getElementById('cache-clear-btn').addEventListener('click', async () => {
+  try {
+    await clearTileCache();
+  } catch (err) {
+    console.error('Clearing terrain cache failed:', err);
+    flashStatus("Couldn't clear the terrain cache.");
+  }
+  refreshCacheStats();
+});
+
+refreshCacheStats();
+
+// ── Zone export ─────────────────────────────────────────────────────
+
+const exportFormat = document.getElementById('export-format');
+const exportThreshold = document.getElementById('export-threshold');
+
+for (const [key, format] of Object.entries(EXPORT_FORMATS)) {
+  exportFormat.add(new Option(format.name, key));
+}
+exportThreshold.value = ZONE_EXPORT_THRESHOLD;
+
+document.getElementById('export-btn').addEventListener('click', async () => {
+  if (!shownScores) {
+    flashStatus('No powder scores to export for this window.');
+    return;
+  }
+
+  const threshold = parseFloat(exportThreshold.value);
+  const format = exportFormat.value;
+  const forArea = area;
+
+  let zones;
+  try {
+    zones = await powderWorker.extractZones(shownScores, threshold, showStatus).promise;
+  } catch (err) {
+    console.error('Zone export failed:', err);
+    flashStatus('Zone export failed. See console for details.');
+    return;
+  }
+  hideStatus();
+
+  if (zones.features.length === 0) {
+    flashStatus(`No zones score ${threshold} or higher.`);
+    return;
+  }
+
+  const date = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD, local
+  const { extension, mime } = EXPORT_FORMATS[format];
+  downloadText(
+    serializeZones(zones, format, `${forArea.name} powder zones ${date}`),
+    `powder-zones-${forArea.id}-${date}.${extension}`,
+    mime
+  );
+  console.log(`Exported ${zones.features.length} zones scoring ${threshold}+ as ${format}`);
+});
+
+// ── Click to inspect ────────────────────────────────────────────────
+
+const inspectPopup = new mapboxgl.Popup({ maxWidth: '260px', className: 'inspect-popup' });
+
+function formatFactor(val) {
+  return val == null || isNaN(val) ? '—' : val.toFixed(2);
+}
+
+/**
+ * Popup body for a pixel breakdown from the worker (see explainPowderScore).
+ */
+function inspectHtml(info) {
+  const rows = [
+    ['Elevation', formatFeet(info.elevation * 3.28084)],
+    ['Aspect', isNaN(info.aspect) ? 'Flat' : `${degreesToCardinal(info.aspect)} (${Math.round(info.aspect)}°)`],
+    ['Slope', isNaN(info.slope) ? '—' : `${Math.round(info.slope)}°`],
+  ];
+
+  if (info.score != null) {
+    rows.push(
+      ['Snowfall', formatInches(info.snowfall)],
+      ['Off leeward', info.leewardDiff == null ? '—' : `${Math.round(info.leewardDiff)}° (wind ${degreesToCardinal(info.windDirection)})`],
+      ['Wind transport', formatFactor(info.transport)],
+      ['Aspect loading', formatFactor(info.aspectLoading)],
+      ['Upwind shelter', formatFactor(info.shelter)],
+      ['Wind score', formatFactor(info.windScore)],
+      ['Slope factor', formatFactor(info.slopeFactor)],
+      ['Snow factor', formatFactor(info.snowFactor)],
+      ['Snow quality', formatFactor(info.quality)],
+      ['Sun since storm', info.solarEnergy == null ? '—' : `${info.solarEnergy.toFixed(1)} kWh/m²`],
+      ['Sun crust risk', formatFactor(info.crustRisk)],
+      ['From lifts', info.accessMinutes == null || !isFinite(info.accessMinutes) ? '—' : `${Math.round(info.accessMinutes)} min`],
+      ['Tracked out', info.tracked == null ? '—' : `${Math.round(info.tracked * 100)}%`],
+      ['Score', formatFactor(info.score)]
+    );
+  }
+
+  return rows
+    .map(([label, value]) => `<div class="inspect-row"><span>${label}</span><span>${value}</span></div>`)
+    .join('');
+}
+
+map.on('click', async e => {
+  if (!cachedTerrain) return;
+
+  const gridBounds = getGridBounds(area.bounds, TERRAIN_ZOOM);
+  const pixel = lonLatToGridPixel(e.lngLat.lng, e.lngLat.lat, gridBounds, cachedTerrain.width, cachedTerrain.height);
+  if (!pixel) return;
+
+  let info;
+  try {
+    info = await powderWorker.inspect(pixel.index, shownScoreId).promise;
+  } catch (err) {
+    console.error('Inspect failed:', err);
+    return;
+  }
+
+  inspectPopup.setLngLat(e.lngLat).setHTML(inspectHtml(info)).addTo(map);
+});
+
+// ── Overlay style ───────────────────────────────────────────────────
+
+// Restyling only touches GPU uniforms — no rescoring or re-upload
+const rampSelect = document.getElementById('ramp-select');
+const thresholdInput = document.getElementById('threshold-input');
+const opacityInput = document.getElementById('opacity-input');
+
+for (const [key, ramp] of Object.entries(RAMPS)) {
+  rampSelect.add(new Option(ramp.name, key));
+}
+rampSelect.value = RAMPS[overlayStyle.ramp] ? overlayStyle.ramp : 'hotspots';
+thresholdInput.value = overlayStyle.threshold;
+opacityInput.value = overlayStyle.opacity;
+
+function applyOverlayStyle() {
+  overlayStyle = {
+    ramp: rampSelect.value,
+    threshold: parseFloat(thresholdInput.value),
+    opacity: parseFloat(opacityInput.value)
+  };
+  document.querySelector('.legend-bar').style.background = rampGradientCss(RAMPS[overlayStyle.ramp].stops);
+  setOverlayStyle(map, overlayStyle);
+}
+
+rampSelect.addEventListener('change', applyOverlayStyle);
+thresholdInput.addEventListener('input', applyOverlayStyle);
+opacityInput.addEventListener('input', applyOverlayStyle);
+applyOverlayStyle();
+
+// Sun-crust risk sits beneath the powder overlay when switched on
+const crustToggle = document.getElementById('crust-toggle');
+const crustLegend = document.getElementById('crust-legend');
+crustLegend.style.background = crustGradientCss();
+
+function updateCrustLayer() {
+  crustLegend.classList.toggle('hidden', !crustToggle.checked);
+  if (!crustToggle.checked || !shownCrust) {
+    removeCrustLayerFromMap(map);
+    return;
+  }
+  const gridBounds = getGridBounds(area.bounds, TERRAIN_ZOOM);
+  addCrustLayerToMap(map, shownCrust, cachedTerrain.width, cachedTerrain.height, gridBounds);
+  moveRunsToTop(map);
+}
+
+crustToggle.checked = urlState.crust ?? false;
+crustToggle.addEventListener('change', () => {
+  updateCrustLayer();
+  syncUrl();
+});
+
+for (const input of [rampSelect, thresholdInput, opacityInput]) {
+  input.addEventListener('change', syncUrl);
+}
+
+// ── Model settings ──────────────────────────────────────────────────
+
+const settingsBtn = document.getElementById('settings-btn');
+const settingsDrawer = document.getElementById('settings-drawer');
+const presetSelect = document.getElementById('preset-select');
+const modelInputs = new Map(); // param key → { input, value }
+
+presetSelect.add(new Option('Default', 'default'));
+for (const [id, preset] of Object.entries(MODEL_PRESETS)) {
+  presetSelect.add(new Option(preset.name, id));
+}
+const customOption = new Option('Custom', 'custom');
+customOption.disabled = true;
+presetSelect.add(customOption);
+
+function formatParam(param, value) {
+  return `${param.step < 1 ? value.toFixed(2) : value}${param.unit || ''}`;
+}
+
+for (const param of MODEL_PARAMS) {
+  const row = document.createElement('label');
+  const name = document.createElement('span');
+  const input = document.createElement('input');
+  const value = document.createElement('span');
+  row.className = 'settings-row';
+  name.textContent = param.label;
+  input.type = 'range';
+  input.min = param.min;
+  input.max = param.max;
+  input.step = param.step;
+  value.className = 'settings-value';
+  row.append(name, input, value);
+  document.getElementById('model-params').append(row);
+
+  // Label follows the drag; rescoring waits for the release
+  input.addEventListener('input', () => {
+    value.textContent = formatParam(param, parseFloat(input.value));
+  });
+  input.addEventListener('change', () => {
+    setModel({ ...model, [param.key]: parseFloat(input.value) });
+  });
+  modelInputs.set(param.key, { input, value });
+}
+
+function updateModelUI() {
+  for (const param of MODEL_PARAMS) {
+    const { input, value } = modelInputs.get(param.key);
+    input.value = model[param.key];
+    value.textContent = formatParam(param, model[param.key]);
+  }
+  presetSelect.value = matchPreset(model) ?? 'custom';
+}
+
+/**
+ * Switch to a new scoring model and rescore the shown window with it.
+ */
+function setModel(values) {
+  model = resolveModel(values);
+  updateModelUI();
+  syncUrl();
+  rescore();
+}
+
+presetSelect.addEventListener('change', () => {
+  const id = presetSelect.value;
+  if (id === 'default') {
+    setModel({});
+    return;
+  }
+  const preset = MODEL_PRESETS[id];
+  if (preset.threshold != null) {
+    thresholdInput.value = preset.threshold;
+    applyOverlayStyle();
+  }
+  setModel(presetModel(id));
+});
+
+document.getElementById('model-reset-btn').addEventListener('click', () => setModel({}));
+
+settingsBtn.addEventListener('click', () => {
+  const open = settingsDrawer.classList.toggle('hidden') === false;
+  settingsBtn.setAttribute('aria-expanded', open);
+});
+
+updateModelUI();
+
 // ── Initial load ────────────────────────────────────────────────────
 
 map.on('load', () => {
   updateToggleUI(currentHours);
-  loadAndRender(currentHours);
+  loadAreaRuns();
+  loadAreaLifts();
+  loadAndRender(viewHours());
 });
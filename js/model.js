@@ -0,0 +1,44 @@
+import { MODEL_DEFAULTS, MODEL_PRESETS } from './config.js';
+import { clamp } from './utils.js';
+
+/**
+ * Tunable scoring model parameters, in settings-drawer order. `param` is the
+ * short URL query key; defaults come from MODEL_DEFAULTS.
+ */
+export const MODEL_PARAMS = [
+  { key: 'snowSaturationIn', param: 'snow', label: 'Full-score snowfall', unit: '"', min: 2, max: 24, step: 1 },
+  { key: 'transportCapMph', param: 'wind', label: 'Full-transport wind', unit: ' mph', min: 10, max: 60, step: 5 },
+  { key: 'shelterWeight', param: 'shelter', label: 'Upwind shelter share', min: 0, max: 1, step: 0.05 },
+  { key: 'sunCrustWeight', param: 'sun', label: 'Sun crust penalty', min: 0, max: 1, step: 0.05 },
+  { key: 'trackedWeight', param: 'tracked', label: 'Skier traffic penalty', min: 0, max: 1, step: 0.05 },
+];
+
+/**
+ * A complete model from partial values: missing or non-numeric entries take
+ * their default, the rest are clamped to the parameter's range.
+ */
+export function resolveModel(values = {}) {
+  const model = {};
+  for (const { key, min, max } of MODEL_PARAMS) {
+    const v = values[key];
+    model[key] = typeof v === 'number' && !isNaN(v) ? clamp(v, min, max) : MODEL_DEFAULTS[key];
+  }
+  return model;
+}
+
+/**
+ * The model a preset sets (see MODEL_PRESETS).
+ */
+export function presetModel(id) {
+  return resolveModel(MODEL_PRESETS[id].model);
+}
+
+/**
+ * Id of the preset matching a model exactly, 'default' for the defaults, or
+ * null for a custom mix.
+ */
+export function matchPreset(model) {
+  const same = other => MODEL_PARAMS.every(({ key }) => model[key] === other[key]);
+  if (same(MODEL_DEFAULTS)) return 'default';
+  return Object.keys(MODEL_PRESETS).find(id => same(presetModel(id))) || null;
+}
@@ -1,4 +1,12 @@
-import { OVERLAY_OPACITY } from './config.js';
+import { OVERLAY_OPACITY, OVERLAY_THRESHOLD } from './config.js';
+import { createScoreLayer } from './score-layer.js';
+
+const LAYER_ID = 'powder-overlay-layer';
+const CRUST_LAYER_ID = 'sun-crust-layer';
+
+// Every ramp is transparent up to here; the GPU layer stretches the visible
+// part so it starts at the user's threshold instead
+const RAMP_CUTOFF = 0.35;
 
 /**
  * Color ramp for powder scores.
@@ -19,16 +27,47 @@ const COLOR_RAMP = [
 ];
 
 /**
- * Interpolate the color ramp at a given score [0,1].
+ * Alternative ramp: cool → warm, for contrast on snowy basemaps.
+ */
+const HEAT_RAMP = [
+  [0.00,   0,   0,   0,   0],
+  [0.35,   0,   0,   0,   0],
+  [0.40,  40,  90, 200,  90],     // faint blue
+  [0.55,  40, 180, 200, 160],     // teal
+  [0.70, 120, 210,  80, 200],     // green
+  [0.85, 250, 200,  40, 230],     // yellow
+  [1.00, 230,  40,  30, 255],     // red — the best powder
+];
+
+/**
+ * Sun-crust risk (solar.js): clear below 0.2, amber → burnt orange → red.
+ */
+const CRUST_RAMP = [
+  [0.00,   0,   0,   0,   0],
+  [0.20,   0,   0,   0,   0],
+  [0.30, 250, 190,  60,  90],     // faint amber
+  [0.55, 245, 130,  30, 160],     // orange
+  [0.80, 220,  60,  20, 210],     // burnt orange
+  [1.00, 180,  20,  20, 240],     // red — likely crusted
+];
+const CRUST_CUTOFF = 0.2;
+
+export const RAMPS = {
+  hotspots: { name: 'Hot spots', stops: COLOR_RAMP },
+  heat: { name: 'Heat', stops: HEAT_RAMP },
+};
+
+/**
+ * Interpolate a color ramp at a given score [0,1].
  * Returns [r, g, b, a].
  */
-function sampleRamp(score) {
-  if (score <= COLOR_RAMP[0][0]) return COLOR_RAMP[0].slice(1);
-  if (score >= COLOR_RAMP[COLOR_RAMP.length - 1][0]) return COLOR_RAMP[COLOR_RAMP.length - 1].slice(1);
+function sampleRamp(score, ramp = COLOR_RAMP) {
+  if (score <= ramp[0][0]) return ramp[0].slice(1);
+  if (score >= ramp[ramp.length - 1][0]) return ramp[ramp.length - 1].slice(1);
 
-  for (let i = 0; i < COLOR_RAMP.length - 1; i++) {
-    const lo = COLOR_RAMP[i];
-    const hi = COLOR_RAMP[i + 1];
+  for (let i = 0; i < ramp.length - 1; i++) {
+    const lo = ramp[i];
+    const hi = ramp[i + 1];
     if (score >= lo[0] && score <= hi[0]) {
       const t = (score - lo[0]) / (hi[0] - lo[0]);
       return [
@@ -43,24 +82,24 @@ function sampleRamp(score) {
 }
 
 /**
- * Render powder scores to a canvas and return a data URL.
- * The canvas is downsampled for performance (the full-res grid can be huge).
+ * Size of a width × height grid downsampled so neither side exceeds maxDim.
+ * Returns { width, height }.
  */
-export function renderOverlay(scores, width, height) {
-  // Downsample to a manageable size for the image overlay
-  const maxDim = 1024;
-  let outW = width;
-  let outH = height;
-  if (width > maxDim || height > maxDim) {
-    const scale = maxDim / Math.max(width, height);
-    outW = Math.round(width * scale);
-    outH = Math.round(height * scale);
-  }
+export function overlaySize(width, height, maxDim = 1024) {
+  if (width <= maxDim && height <= maxDim) return { width, height };
+  const scale = maxDim / Math.max(width, height);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
 
-  const canvas = new OffscreenCanvas(outW, outH);
-  const ctx = canvas.getContext('2d');
-  const imageData = ctx.createImageData(outW, outH);
-  const data = imageData.data;
+/**
+ * Color powder scores into RGBA pixels, downsampled so neither side exceeds
+ * maxDim (the full-res grid can be huge).
+ * Returns { data: Uint8ClampedArray, width, height }.
+ */
+export function scoresToRGBA(scores, width, height, maxDim = 1024) {
+  const { width: outW, height: outH } = overlaySize(width, height, maxDim);
+
+  const data = new Uint8ClampedArray(outW * outH * 4);
 
   const xRatio = width / outW;
   const yRatio = height / outH;
@@ -81,43 +120,135 @@ export function renderOverlay(scores, width, height) {
     }
   }
 
-  ctx.putImageData(imageData, 0, 0);
+  return { data, width: outW, height: outH };
+}
+
+/**
+ * Sample a ramp into a 256 × 1 RGBA strip for the GPU layer.
+ */
+function rampPixels(stops) {
+  const pixels = new Uint8Array(256 * 4);
+  for (let i = 0; i < 256; i++) {
+    pixels.set(sampleRamp(i / 255, stops), i * 4);
+  }
+  return pixels;
+}
 
-  // Convert to blob URL for Mapbox
-  return canvas.convertToBlob({ type: 'image/png' }).then(blob => URL.createObjectURL(blob));
+/**
+ * CSS gradient showing a ramp's visible part, for the legend bar.
+ */
+export function rampGradientCss(stops, cutoff = RAMP_CUTOFF) {
+  const visible = stops.filter(([score]) => score >= cutoff);
+  const parts = visible.map(([score, r, g, b, a]) => {
+    const pct = Math.round((score - cutoff) / (1 - cutoff) * 100);
+    return `rgba(${r}, ${g}, ${b}, ${(a / 255).toFixed(2)}) ${pct}%`;
+  });
+  return `linear-gradient(to right, ${parts.join(', ')})`;
 }
 
+// ── Map layer ───────────────────────────────────────────────────────
+
+const scoreLayers = new WeakMap(); // map → score layer
+const crustLayers = new WeakMap(); // map → sun-crust layer
+
 /**
  * Add or update the powder overlay on the Mapbox map.
+ * The full-resolution score grid is drawn on the GPU (see score-layer.js).
+ * @param {mapboxgl.Map} map
+ * @param {Float32Array} scores - Score per grid pixel
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} gridBounds - { north, south, east, west }
+ * @param {Object} [style] - See setOverlayStyle
+ */
+export function addOverlayToMap(map, scores, width, height, gridBounds, style = {}) {
+  let layer = scoreLayers.get(map);
+
+  if (layer && map.getLayer(LAYER_ID)) {
+    layer.setScores(scores, width, height, gridBounds);
+    return;
+  }
+
+  layer = createScoreLayer(LAYER_ID);
+  scoreLayers.set(map, layer);
+  layer.setScores(scores, width, height, gridBounds);
+  applyStyle(layer, style);
+  map.addLayer(layer);
+}
+
+/**
+ * Restyle the overlay without recomputing or re-uploading scores.
  * @param {mapboxgl.Map} map
- * @param {string} imageUrl - Object URL or data URL of the overlay image
+ * @param {Object} style - { ramp: key of RAMPS, threshold, opacity }
+ */
+export function setOverlayStyle(map, style) {
+  const layer = scoreLayers.get(map);
+  if (layer) applyStyle(layer, style);
+}
+
+function applyStyle(layer, { ramp = 'hotspots', threshold = OVERLAY_THRESHOLD, opacity = OVERLAY_OPACITY }) {
+  layer.setStyle({
+    rampPixels: rampPixels((RAMPS[ramp] || RAMPS.hotspots).stops),
+    cutoff: RAMP_CUTOFF,
+    threshold,
+    opacity
+  });
+}
+
+/**
+ * Remove the powder overlay, if shown.
+ */
+export function removeOverlayFromMap(map) {
+  if (map.getLayer(LAYER_ID)) {
+    map.removeLayer(LAYER_ID);
+  }
+  scoreLayers.delete(map);
+}
+
+/**
+ * Add or update the sun-crust risk layer (computeSunCrustGrid), drawn with
+ * its own ramp beneath the powder overlay.
+ * @param {mapboxgl.Map} map
+ * @param {Float32Array} crust - Risk per grid pixel, [0, 1]
+ * @param {number} width
+ * @param {number} height
  * @param {Object} gridBounds - { north, south, east, west }
+ * @param {number} [opacity]
+ */
+export function addCrustLayerToMap(map, crust, width, height, gridBounds, opacity = OVERLAY_OPACITY) {
+  let layer = crustLayers.get(map);
+
+  if (layer && map.getLayer(CRUST_LAYER_ID)) {
+    layer.setScores(crust, width, height, gridBounds);
+    layer.setStyle({ opacity });
+    return;
+  }
+
+  layer = createScoreLayer(CRUST_LAYER_ID);
+  crustLayers.set(map, layer);
+  layer.setScores(crust, width, height, gridBounds);
+  layer.setStyle({
+    rampPixels: rampPixels(CRUST_RAMP),
+    cutoff: CRUST_CUTOFF,
+    threshold: CRUST_CUTOFF,
+    opacity
+  });
+  map.addLayer(layer, map.getLayer(LAYER_ID) ? LAYER_ID : undefined);
+}
+
+/**
+ * Remove the sun-crust layer, if shown.
  */
-export function addOverlayToMap(map, imageUrl, gridBounds) {
-  const coordinates = [
-    [gridBounds.west, gridBounds.north],  // top-left
-    [gridBounds.east, gridBounds.north],  // top-right
-    [gridBounds.east, gridBounds.south],  // bottom-right
-    [gridBounds.west, gridBounds.south],  // bottom-left
-  ];
-
-  if (map.getSource('powder-overlay')) {
-    map.getSource('powder-overlay').updateImage({ url: imageUrl, coordinates });
-  } else {
-    map.addSource('powder-overlay', {
-      type: 'image',
-      url: imageUrl,
-      coordinates
-    });
-
-    map.addLayer({
-      id: 'powder-overlay-layer',
-      type: 'raster',
-      source: 'powder-overlay',
-      paint: {
-        'raster-opacity': OVERLAY_OPACITY,
-        'raster-fade-duration': 0
-      }
-    });
+export function removeCrustLayerFromMap(map) {
+  if (map.getLayer(CRUST_LAYER_ID)) {
+    map.removeLayer(CRUST_LAYER_ID);
   }
+  crustLayers.delete(map);
+}
+
+/**
+ * CSS gradient for the sun-crust legend swatch.
+ */
+export function crustGradientCss() {
+  return rampGradientCss(CRUST_RAMP, CRUST_CUTOFF);
 }
@@ -0,0 +1,174 @@
+import { computeDominantWind } from './weather.js';
+import { computePowderScores, computeWindLoading, explainPowderScore } from './powder.js';
+import { computeSnowLine } from './snowline.js';
+import { computeShelterGrid } from './shelter.js';
+import { computeSolarExposure, computeSunCrustGrid, pixelSolarEnergy } from './solar.js';
+import { snowQuality } from './density.js';
+import { fuseSnowfall, fuseNearbySnowfall } from './fusion.js';
+import { interpolateSnowfall } from './snowfall-grid.js';
+import { resolveModel } from './model.js';
+
+// Below this much snowfall (inches) there's nothing worth scoring
+export const MIN_SCORED_SNOWFALL = 0.5;
+
+/**
+ * Reduce fetched weather to the inputs the powder model needs.
+ * Shared by the map (main.js) and the headless API (server/powder.js).
+ *
+ * @param {Object|null} snotel - From fetchSnotelData/summarizeSnotel/summarizeForecast
+ * @param {Object|null} windData - Open-Meteo response with hourly arrays trimmed to the
+ *   window, and the longer `history` kept by trimWindData/trimForecastData/trimWindRange
+ * @param {number|null} resortSnowfall - Resort-reported snowfall for the period
+ * @param {number|null} [resortAgeHours] - Age of the resort report, to flag it stale
+ * @param {Array} [stations] - Placed SNOTEL stations from snowfallStations, to
+ *   spread snowfall over the terrain
+ * @param {Object} [model] - Scoring model from resolveModel; defaults if omitted
+ * Returns { snotel, totalSnowfall, totalPrecip, snotelSnowfall, resortSnowfall, fusion, stations,
+ *   dataWarnings, snowLine, snowDensity, quality, wind, windLoading, solar, airTempF, stationElevFt, hourly,
+ *   utcOffsetSeconds, model }
+ */
+export function summarizeWeather(snotel, windData, resortSnowfall, resortAgeHours = null, stations = [], model = resolveModel()) {
+  // Dominant direction for display, hourly loading for scoring
+  const hourly = windData && windData.hourly ? windData.hourly : null;
+  const wind = hourly ? computeDominantWind(hourly) : null;
+  const windLoading = hourly ? computeWindLoading(hourly, model.transportCapMph) : null;
+
+  // Weigh SNOTEL's precip, depth and SWE estimates against the resort report;
+  // with neither, fall back on the nearby stations
+  const snotelSnowfall = snotel ? snotel.totalSnowfall : null;
+  const fusion = snotel || resortSnowfall != null || stations.length === 0
+    ? fuseSnowfall(snotel, resortSnowfall, resortAgeHours)
+    : fuseNearbySnowfall(stations);
+  const totalSnowfall = fusion.snowfall;
+  const totalPrecip = snotel ? snotel.totalPrecip ?? 0 : 0;
+
+  // Station data problems (gaps, glitches, suspect readings), nearby stations
+  // named, and what a fallback weather source leaves out
+  const dataWarnings = [
+    ...(snotel && snotel.warnings ? snotel.warnings : []),
+    ...stations.filter(s => !s.primary).flatMap(s => (s.warnings ?? []).map(w => `${s.name}: ${w}`)),
+    ...(windData && windData.warnings ? windData.warnings : [])
+  ];
+
+  // Rain/snow line from the station temperature during the storm
+  const snowLine = snotel ? computeSnowLine(snotel.stormTempF, snotel.stationElevFt) : null;
+
+  // Blower vs. mashed potatoes, from the hour-by-hour snow-to-liquid ratio
+  const snowDensity = snotel && snotel.snowDensity != null ? snotel.snowDensity : null;
+  const quality = snowQuality(snowDensity);
+
+  // Sun on each aspect since the storm, at the wind grid point; the history
+  // reaches back before the window to find a storm that ended earlier
+  const history = windData && windData.history && windData.history.time ? windData.history : hourly;
+  const solar = hourly
+    ? computeSolarExposure(history, windData.utc_offset_seconds || 0, windData.latitude, windData.longitude)
+    : null;
+  const airTempF = snotel ? snotel.tempF : null;
+  const stationElevFt = snotel ? snotel.stationElevFt : null;
+
+  return {
+    snotel, totalSnowfall, totalPrecip, snotelSnowfall, resortSnowfall, fusion, stations, dataWarnings, snowLine, snowDensity, quality,
+    wind, windLoading, solar, airTempF, stationElevFt, hourly,
+    utcOffsetSeconds: windData ? windData.utc_offset_seconds || 0 : 0,
+    model
+  };
+}
+
+/**
+ * Why a period can't be scored, or null if it can.
+ */
+export function unscoredReason(weather) {
+  // Another station may have caught a storm the area's own one missed
+  const mostSnowfall = Math.max(weather.totalSnowfall, ...weather.stations.map(s => s.snowfall));
+  if (mostSnowfall < MIN_SCORED_SNOWFALL) return 'no-snow';
+  if (!weather.windLoading) return 'no-wind';
+  return null;
+}
+
+/**
+ * Upwind shelter per terrain pixel for a summarized weather period, or null
+ * without hourly wind.
+ */
+export function shelterTerrain(terrain, weather) {
+  return computeShelterGrid(terrain, weather.hourly, weather.model.transportCapMph);
+}
+
+/**
+ * Sun-crust risk per terrain pixel for a summarized weather period, or null
+ * if the period has no solar model.
+ */
+export function crustTerrain(terrain, weather) {
+  return computeSunCrustGrid(terrain, weather.solar, weather.airTempF, weather.stationElevFt);
+}
+
+/**
+ * Snowfall per terrain pixel: interpolated between stations where there are
+ * several, otherwise the period's snowfall everywhere.
+ */
+export function snowfallTerrain(terrain, weather, gridBounds) {
+  const grid = interpolateSnowfall(weather.stations, weather.totalSnowfall, terrain, gridBounds);
+  return grid || new Float32Array(terrain.width * terrain.height).fill(weather.totalSnowfall);
+}
+
+/**
+ * Score every terrain pixel for a summarized weather period.
+ *
+ * @param {Object} terrain - From fetchTerrainGrid/buildTerrainGrid
+ * @param {Object} weather - From summarizeWeather (must pass unscoredReason)
+ * @param {Object} gridBounds - { north, south, east, west } of the terrain grid
+ * @param {Float32Array|null} [shelterGrid] - Precomputed upwind shelter/exposure
+ *   for this period's winds; computed here if omitted
+ * @param {Float32Array|null} [crustGrid] - Precomputed sun-crust risk; computed
+ *   here if omitted
+ * @param {Float32Array} [snowfallGrid] - Precomputed snowfallTerrain; computed
+ *   here if omitted
+ * @param {Float32Array|null} [trackedGrid] - Tracked-out share from
+ *   computeTrackedGrid; no skier traffic if omitted
+ * @returns {Float32Array} Score per pixel, [0, 1]
+ */
+export function scoreTerrain(
+  terrain,
+  weather,
+  gridBounds,
+  shelterGrid = shelterTerrain(terrain, weather),
+  crustGrid = crustTerrain(terrain, weather),
+  snowfallGrid = snowfallTerrain(terrain, weather, gridBounds),
+  trackedGrid = null
+) {
+  return computePowderScores(terrain, scoreInputs(weather, shelterGrid, crustGrid, snowfallGrid, trackedGrid));
+}
+
+/**
+ * Score breakdown for one terrain pixel, matching scoreTerrain.
+ *
+ * @param {Object} terrain - From fetchTerrainGrid/buildTerrainGrid
+ * @param {Object} weather - From summarizeWeather
+ * @param {Float32Array|null} shelterGrid - The shelter grid the scores used
+ * @param {Float32Array|null} crustGrid - The sun-crust grid the scores used
+ * @param {Float32Array} snowfallGrid - The snowfall grid the scores used
+ * @param {Float32Array|null} trackedGrid - The tracked-out grid the scores used
+ * @param {number} index - Pixel index (y * width + x)
+ * @returns {Object} See explainPowderScore, plus solarEnergy (kWh/m² since
+ *   the storm) and sunHours
+ */
+export function explainPixel(terrain, weather, shelterGrid, crustGrid, snowfallGrid, trackedGrid, index) {
+  const breakdown = explainPowderScore(index, terrain, {
+    ...scoreInputs(weather, shelterGrid, crustGrid, snowfallGrid, trackedGrid),
+    wind: weather.wind
+  });
+
+  const { solar } = weather;
+  return {
+    ...breakdown,
+    solarEnergy: solar ? pixelSolarEnergy(solar, terrain.aspectGrid[index], terrain.slopeGrid[index]) : null,
+    sunHours: solar ? solar.sunHours : null
+  };
+}
+
+/**
+ * The per-pixel grids and weather computePowderScores takes.
+ */
+function scoreInputs(weather, shelterGrid, crustGrid, snowfallGrid, trackedGrid) {
+  const { windLoading, snowLine, quality, model } = weather;
+  return { windLoading, shelterGrid, crustGrid, trackedGrid, snowfallGrid, snowLine, quality, model };
+}
@@ -0,0 +1,208 @@
+import { fetchTerrainGrid, getGridBounds } from './terrain.js';
+import { scoreTerrain, shelterTerrain, crustTerrain, snowfallTerrain, explainPixel } from './pipeline.js';
+import { rasterizeRuns } from './runs.js';
+import { computeAccessGrid, computeTrackedGrid, pixelAccessMinutes } from './traffic.js';
+import { extractZones } from './zones.js';
+
+/**
+ * Web Worker that owns the terrain grid and runs the heavy per-pixel work
+ * (tile decoding and stitching, slope/aspect, shelter, scoring) off
+ * the main thread. Driven by worker-client.js.
+ *
+ * Requests:  { type: 'loadTerrain' | 'score' | 'retime' | 'inspect' | 'setLifts' | 'rasterizeRuns'
+ *              | 'extractZones' | 'cancel', id, ... }
+ * Responses: { type: 'progress', id, message }
+ *            { type: 'result', id, result }     (typed arrays are transferred)
+ *            { type: 'error' | 'cancelled', id, message }
+ */
+
+let terrain = null;
+let terrainKey = null;
+let gridBounds = null;
+let terrainPromise = null;
+
+// Travel times from lifts and groomers (traffic.js), for the loaded terrain
+let access = null;
+
+// Inputs of the last completed scoring job, for inspect and retime requests
+let scored = null; // { id, weather, shelterGrid, crustGrid, snowfallGrid, trackedGrid }
+
+const running = new Set();   // ids of jobs in progress
+const cancelled = new Set(); // ids of running jobs asked to stop
+
+function abortError() {
+  const err = new Error('Cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Report progress, then yield so a pending cancel message can be handled
+ * before the next stage starts.
+ */
+async function stage(id, message) {
+  self.postMessage({ type: 'progress', id, message });
+  await new Promise(resolve => setTimeout(resolve, 0));
+  if (cancelled.has(id)) throw abortError();
+}
+
+const HANDLERS = {
+  /**
+   * Load (from IndexedDB or Mapbox) the terrain grid for an area and keep it.
+   * Concurrent requests for the same area share one load.
+   */
+  async loadTerrain({ id, area, zoom, token }) {
+    const key = `${area.id}@z${zoom}`;
+    if (terrainKey !== key) {
+      terrainKey = key;
+      terrain = null;
+      scored = null;
+      access = null;
+      terrainPromise = fetchTerrainGrid(area.bounds, zoom, token);
+    }
+
+    await stage(id, 'Loading terrain…');
+    const loaded = await terrainPromise;
+    // Superseded by another area while loading
+    if (terrainKey !== key) throw abortError();
+    terrain = loaded;
+    gridBounds = getGridBounds(area.bounds, zoom);
+
+    return { result: { width: terrain.width, height: terrain.height, cellSize: terrain.cellSize } };
+  },
+
+  /**
+   * Score the loaded terrain for a summarized weather period, with the lifts
+   * having run hoursOpen hours since the storm.
+   */
+  async score({ id, weather, hoursOpen }) {
+    if (!terrain) throw new Error('Terrain not loaded');
+
+    await stage(id, 'Computing wind shelter…');
+    const shelterGrid = shelterTerrain(terrain, weather);
+
+    await stage(id, 'Modelling sun exposure…');
+    const crustGrid = crustTerrain(terrain, weather);
+
+    await stage(id, 'Interpolating snowfall…');
+    const snowfallGrid = snowfallTerrain(terrain, weather, gridBounds);
+
+    const trackedGrid = computeTrackedGrid(terrain, access, hoursOpen);
+
+    await stage(id, 'Scoring terrain…');
+    const scores = scoreTerrain(terrain, weather, gridBounds, shelterGrid, crustGrid, snowfallGrid, trackedGrid);
+    scored = { id, weather, shelterGrid, crustGrid, snowfallGrid, trackedGrid };
+
+    // The map gets its own copy of the crust grid for the sun-crust layer
+    const crust = crustGrid ? crustGrid.slice() : null;
+    return {
+      result: { scores, crust, width: terrain.width, height: terrain.height },
+      transfer: crust ? [scores.buffer, crust.buffer] : [scores.buffer]
+    };
+  },
+
+  /**
+   * Rescore the last scoring job for a different number of lift hours (the
+   * time-of-day slider); the weather grids are reused.
+   */
+  async retime({ id, hoursOpen }) {
+    if (!scored) throw new Error('Nothing scored yet');
+
+    await stage(id, 'Rescoring for skier traffic…');
+    const trackedGrid = computeTrackedGrid(terrain, access, hoursOpen);
+    const { weather, shelterGrid, crustGrid, snowfallGrid } = scored;
+    const scores = scoreTerrain(terrain, weather, gridBounds, shelterGrid, crustGrid, snowfallGrid, trackedGrid);
+    scored = { ...scored, id, trackedGrid };
+
+    return {
+      result: { scores, width: terrain.width, height: terrain.height },
+      transfer: [scores.buffer]
+    };
+  },
+
+  /**
+   * Travel times from a parsed lifts file (traffic.js), used by later
+   * scoring jobs. Null clears them. Resolves to { sources } or null.
+   */
+  async setLifts({ id, lifts }) {
+    if (!terrain) throw new Error('Terrain not loaded');
+    if (!lifts) {
+      access = null;
+      return { result: null };
+    }
+
+    await stage(id, 'Mapping lift access…');
+    access = computeAccessGrid(terrain, lifts, gridBounds);
+    return { result: access ? { sources: access.sources } : null };
+  },
+
+  /**
+   * Terrain and score breakdown for one pixel. The breakdown is only given
+   * for the scoring job the map is showing (scoreId).
+   */
+  async inspect({ index, scoreId }) {
+    if (!terrain) throw new Error('Terrain not loaded');
+
+    if (scored && scored.id === scoreId) {
+      const { weather, shelterGrid, crustGrid, snowfallGrid, trackedGrid } = scored;
+      return {
+        result: {
+          ...explainPixel(terrain, weather, shelterGrid, crustGrid, snowfallGrid, trackedGrid, index),
+          accessMinutes: access ? pixelAccessMinutes(access, index, terrain.width) : null
+        }
+      };
+    }
+    return {
+      result: {
+        elevation: terrain.elevations[index],
+        aspect: terrain.aspectGrid[index],
+        slope: terrain.slopeGrid[index],
+        score: null
+      }
+    };
+  },
+
+  /**
+   * Grid pixels covered by each run of a parsed runs collection (runs.js).
+   */
+  async rasterizeRuns({ id, collection }) {
+    if (!terrain) throw new Error('Terrain not loaded');
+
+    await stage(id, 'Placing runs…');
+    const runs = rasterizeRuns(collection, gridBounds, terrain.width, terrain.height, terrain.cellSize);
+
+    return { result: runs, transfer: runs.map(run => run.indices.buffer) };
+  },
+
+  /**
+   * High-score zones of a score grid as GeoJSON (zones.js).
+   */
+  async extractZones({ id, scores, threshold }) {
+    if (!terrain) throw new Error('Terrain not loaded');
+
+    await stage(id, 'Tracing powder zones…');
+    return { result: extractZones(scores, terrain.width, terrain.height, gridBounds, terrain.cellSize, threshold) };
+  },
+};
+
+self.onmessage = async ({ data }) => {
+  const { type, id } = data;
+
+  if (type === 'cancel') {
+    // A job that already settled has nothing left to stop
+    if (running.has(id)) cancelled.add(id);
+    return;
+  }
+
+  running.add(id);
+  try {
+    const { result, transfer = [] } = await HANDLERS[type](data);
+    if (cancelled.has(id)) throw abortError();
+    self.postMessage({ type: 'result', id, result }, transfer);
+  } catch (err) {
+    self.postMessage({ type: err.name === 'AbortError' ? 'cancelled' : 'error', id, message: err.message });
+  } finally {
+    running.delete(id);
+    cancelled.delete(id);
+  }
+};
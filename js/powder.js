@@ -1,51 +1,323 @@
 import { angleDifference, clamp } from './utils.js';
+import { elevationSnowMultiplier } from './snowline.js';
+import { MODEL_DEFAULTS } from './config.js';
+
+/**
+ * Slope-angle suitability ramp.
+ * Each stop: [slope degrees, factor]
+ *
+ * Flat benches don't ski and cliffs above ~50° don't hold snow (or people);
+ * the 30–45° band is where wind-loaded powder skis best.
+ */
+const SLOPE_RAMP = [
+  [0,  0.25],   // flat bench
+  [15, 0.45],
+  [25, 0.80],
+  [30, 1.00],   // prime powder band
+  [45, 1.00],
+  [50, 0.50],
+  [55, 0.15],   // cliff bands
+  [90, 0.05],
+];
+
+/**
+ * Interpolate the slope ramp at a given slope angle in degrees.
+ * NaN (grid edge) is treated as flat.
+ */
+function slopeFactor(slope) {
+  if (isNaN(slope) || slope <= SLOPE_RAMP[0][0]) return SLOPE_RAMP[0][1];
+  if (slope >= SLOPE_RAMP[SLOPE_RAMP.length - 1][0]) return SLOPE_RAMP[SLOPE_RAMP.length - 1][1];
+
+  for (let i = 0; i < SLOPE_RAMP.length - 1; i++) {
+    const lo = SLOPE_RAMP[i];
+    const hi = SLOPE_RAMP[i + 1];
+    if (slope >= lo[0] && slope <= hi[0]) {
+      const t = (slope - lo[0]) / (hi[0] - lo[0]);
+      return lo[1] + t * (hi[1] - lo[1]);
+    }
+  }
+  return SLOPE_RAMP[0][1];
+}
+
+/**
+ * Half-width of the leeward loading (and windward scouring) lobe in degrees.
+ * Narrower than a plain cosine so that two wind directions ~90° apart build
+ * two distinct loaded aspects instead of blending into one in the middle.
+ */
+const LOADING_LOBE_HALF_WIDTH = 60;
+
+/**
+ * Signed loading for a slope whose aspect is `diff` degrees away from the
+ * leeward direction: +1 dead leeward, -1 dead windward (scoured), 0 cross-slope.
+ * Each lobe is a raised cosine (cos²) so overlapping lobes never merge into a
+ * spurious peak between them.
+ */
+function loadingKernel(diff) {
+  if (diff < LOADING_LOBE_HALF_WIDTH) {
+    return Math.cos(diff / LOADING_LOBE_HALF_WIDTH * Math.PI / 2) ** 2;
+  }
+  if (diff > 180 - LOADING_LOBE_HALF_WIDTH) {
+    return -(Math.cos((180 - diff) / LOADING_LOBE_HALF_WIDTH * Math.PI / 2) ** 2);
+  }
+  return 0;
+}
+
+/**
+ * Snow transport by a wind speed, [0.2, 1]: full at transportCapMph (the
+ * model's transportCapMph), with a floor for light winds that still drift.
+ */
+export function windTransport(speedMph, transportCapMph = MODEL_DEFAULTS.transportCapMph) {
+  return clamp(speedMph / transportCapMph, 0.2, 1.0);
+}
+
+/**
+ * Integrate wind loading hour by hour over the period.
+ *
+ * Each hour loads the slopes leeward of that hour's wind direction and scours
+ * the windward ones, scaled by that hour's transport (windTransport) and
+ * weighted by 1 + precip * 10 so snowy hours count more. A storm whose wind
+ * backs from SW to NW therefore loads both NE and SE aspects.
+ *
+ * Returns a Float32Array(360) of mean signed loading per whole-degree aspect,
+ * in [-1, 1], or null if there is no usable wind data.
+ */
+export function computeWindLoading(hourly, transportCapMph = MODEL_DEFAULTS.transportCapMph) {
+  const speeds = hourly.wind_speed_10m;
+  const dirs = hourly.wind_direction_10m;
+  const precip = hourly.precipitation;
+
+  if (!speeds || !dirs || speeds.length === 0) return null;
+
+  const loading = new Float32Array(360);
+  let totalWeight = 0;
+
+  for (let i = 0; i < speeds.length; i++) {
+    const spd = speeds[i];
+    const dir = dirs[i];
+    if (spd == null || dir == null) continue;
+
+    const p = (precip && precip[i] != null) ? precip[i] : 0;
+    const weight = 1 + p * 10;
+    const transport = windTransport(spd, transportCapMph);
+    const leeward = (dir + 180) % 360;
+
+    for (let a = 0; a < 360; a++) {
+      loading[a] += weight * transport * loadingKernel(angleDifference(a, leeward));
+    }
+    totalWeight += weight;
+  }
+
+  if (totalWeight === 0) return null;
+
+  for (let a = 0; a < 360; a++) loading[a] /= totalWeight;
+  return loading;
+}
+
+/**
+ * Find the aspects where loading peaks (local maxima above minLoading),
+ * strongest first.
+ *
+ * Returns [{ aspect, loading }].
+ */
+export function findLoadedAspects(loading, minLoading = 0.15) {
+  const peaks = [];
+  for (let a = 0; a < 360; a++) {
+    const v = loading[a];
+    if (v < minLoading) continue;
+    const prev = loading[(a + 359) % 360];
+    const next = loading[(a + 1) % 360];
+    // >= on one side only so a flat-topped peak is reported once
+    if (v > prev && v >= next) peaks.push({ aspect: a, loading: v });
+  }
+  return peaks.sort((p, q) => q.loading - p.loading);
+}
 
 /**
  * Compute powder scores for each pixel in the terrain grid.
  *
  * Algorithm:
- * 1. Leeward direction = (windFromDirection + 180) % 360
- * 2. Leeward score = (cos(angleDiff between aspect and leeward) + 1) / 2
- * 3. Wind transport factor = clamp(avgSpeed / 30, 0.2, 1.0)
- * 4. Snow factor = clamp(totalSnowfall / 6.0, 0, 1)
- * 5. Final = snowFactor * (0.5 + (leewardScore - 0.5) * windTransportFactor)
- *
- * @param {Float32Array} aspectGrid - Aspect in degrees per pixel (NaN = flat)
- * @param {number} windDir - Dominant wind-from direction in degrees
- * @param {number} totalSnowfall - Total snowfall in inches
- * @param {number} totalPrecip - Total precipitation in inches
- * @param {number} avgWindSpeed - Average wind speed in mph
- * @param {number} width - Grid width in pixels
- * @param {number} height - Grid height in pixels
+ * 1. Wind loading L(aspect) in [-1, 1] from computeWindLoading (hour by hour)
+ * 2. Shelter S in [-1, 1] from computeShelterGrid (upwind terrain; 0 if absent)
+ * 3. Wind score = 0.5 + 0.5 * ((1 - shelterWeight) * L + shelterWeight * S)
+ * 4. Elevation multiplier = orographic scaling × snow fraction from the
+ *    lapse-rate snow line (see snowline.js); 1 when there's no temperature
+ * 5. Snow factor = clamp(snowfall * elevationMultiplier / snowSaturationIn, 0, 1), with the
+ *    pixel's snowfall from the interpolated station grid (snowfall-grid.js)
+ * 6. Slope factor = SLOPE_RAMP(slope) — peaks at 30–45°, low on benches and cliffs
+ * 7. Sun factor = 1 - sunCrustWeight * crust risk from computeSunCrustGrid
+ *    (1 if absent)
+ * 8. Quality = snowQuality(new-snow density) from density.js, 1 for blower
+ *    down to HEAVY_SNOW_QUALITY for dense snow
+ * 9. Traffic factor = 1 - trackedWeight * tracked share from computeTrackedGrid
+ *    (1 if absent)
+ * 10. Final = snowFactor * slopeFactor * windScore * sunFactor * quality * trafficFactor
+ *
+ * The weights and snowSaturationIn are the model's (MODEL_DEFAULTS, or the
+ * settings drawer's values via resolveModel).
+ *
+ * @param {Object} terrain - { aspectGrid, slopeGrid, elevations, width, height }
+ *   from fetchTerrainGrid/buildTerrainGrid: aspect in degrees per pixel (NaN =
+ *   flat), slope angle in degrees (NaN = edge), elevation in meters
+ * @param {Object} inputs - The period's per-pixel grids and weather:
+ *   windLoading - Per-degree loading from computeWindLoading
+ *   shelterGrid - Per-pixel shelter from computeShelterGrid, or null
+ *   crustGrid - Per-pixel sun-crust risk from computeSunCrustGrid, or null
+ *   trackedGrid - Per-pixel tracked-out share from computeTrackedGrid, or null
+ *   snowfallGrid - Snowfall per pixel in inches, at the station's elevation
+ *   snowLine - Snow line model from computeSnowLine, or null
+ *   quality - Snow quality multiplier from snowQuality
+ *   model - Scoring model from resolveModel
  * @returns {Float32Array} Score per pixel, [0, 1]
  */
-export function computePowderScores(aspectGrid, windDir, totalSnowfall, totalPrecip, avgWindSpeed, width, height) {
+export function computePowderScores(terrain, inputs) {
+  const { aspectGrid, slopeGrid, elevations, width, height } = terrain;
+  const { windLoading, shelterGrid, crustGrid, trackedGrid, snowfallGrid, snowLine, quality, model } = inputs;
   const scores = new Float32Array(width * height);
 
-  // No snow → all zeros (overlay will be transparent)
-  const snowFactor = clamp(totalSnowfall / 6.0, 0, 1);
-  if (snowFactor === 0) return scores;
+  for (let i = 0; i < width * height; i++) {
+    const slopeScore = slopeFactor(slopeGrid[i]);
 
-  // Leeward = opposite of wind-from direction
-  const leeward = (windDir + 180) % 360;
+    // No snow here, or below the rain/snow line → rain, not powder
+    const snowFactor = pixelSnowFactor(elevations[i], snowfallGrid[i], snowLine, model);
+    if (snowFactor === 0) continue;
 
-  // How much wind redistributes snow (light wind → even, strong → pronounced)
-  const windTransport = clamp(avgWindSpeed / 30, 0.2, 1.0);
+    const aspectLoading = pixelAspectLoading(aspectGrid[i], windLoading);
+    const windScore = pixelWindScore(aspectLoading, shelterGrid ? shelterGrid[i] : null, model);
 
-  for (let i = 0; i < width * height; i++) {
-    const aspect = aspectGrid[i];
+    const sunScore = crustGrid ? pixelSunScore(crustGrid[i], model) : 1;
+    const trafficScore = trackedGrid ? pixelTrafficScore(trackedGrid[i], model) : 1;
 
-    if (isNaN(aspect)) {
-      // Flat terrain or edge: neutral score
-      scores[i] = snowFactor * 0.5;
-      continue;
-    }
+    scores[i] = snowFactor * slopeScore * windScore * sunScore * quality * trafficScore;
+  }
+
+  return scores;
+}
+
+/**
+ * Break one pixel's score down into the factors computePowderScores
+ * multiplies together, for the click-to-inspect popup.
+ *
+ * Also reports the angle between the pixel's aspect and the leeward side of
+ * the period's dominant wind, and that wind's transport factor
+ * (windTransport of its average speed) — the single-direction view of the loading.
+ *
+ * @param {number} i - Pixel index
+ * @param {Object} terrain - As for computePowderScores
+ * @param {Object} inputs - As for computePowderScores, plus wind: the
+ *   dominant wind from computeDominantWind, or null
+ * @returns {Object} { elevation, aspect, slope, snowfall, slopeFactor, snowFactor,
+ *   windDirection, leewardDiff, transport, aspectLoading, shelter, windScore,
+ *   crustRisk, sunScore, quality, tracked, trafficScore, score }
+ */
+export function explainPowderScore(i, terrain, inputs) {
+  const { aspectGrid, slopeGrid, elevations } = terrain;
+  const { windLoading, shelterGrid, crustGrid, trackedGrid, snowfallGrid, snowLine, quality, model, wind } = inputs;
+  const aspect = aspectGrid[i];
+  const shelter = shelterGrid ? shelterGrid[i] : null;
+  const crustRisk = crustGrid ? crustGrid[i] : null;
+  const tracked = trackedGrid ? trackedGrid[i] : null;
+
+  const slopeScore = slopeFactor(slopeGrid[i]);
+  const snowfall = snowfallGrid[i];
+  const snowFactor = pixelSnowFactor(elevations[i], snowfall, snowLine, model);
+  const aspectLoading = pixelAspectLoading(aspect, windLoading);
+  const windScore = pixelWindScore(aspectLoading, shelter, model);
+  const sunScore = crustRisk != null ? pixelSunScore(crustRisk, model) : 1;
+  const trafficScore = tracked != null ? pixelTrafficScore(tracked, model) : 1;
+
+  return {
+    elevation: elevations[i],
+    aspect,
+    slope: slopeGrid[i],
+    snowfall,
+    slopeFactor: slopeScore,
+    snowFactor,
+    windDirection: wind ? wind.direction : null,
+    leewardDiff: wind && !isNaN(aspect) ? angleDifference(aspect, (wind.direction + 180) % 360) : null,
+    transport: wind ? windTransport(wind.avgSpeed, model.transportCapMph) : null,
+    aspectLoading,
+    shelter,
+    windScore,
+    crustRisk,
+    sunScore,
+    quality,
+    tracked,
+    trafficScore,
+    score: snowFactor * slopeScore * windScore * sunScore * quality * trafficScore
+  };
+}
+
+// ── Per-pixel factors (shared by computePowderScores and explainPowderScore) ──
+
+function pixelSnowFactor(elevation, snowfall, snowLine, model) {
+  if (!(snowfall > 0)) return 0;
+  return clamp(snowfall * elevationSnowMultiplier(elevation, snowLine) / model.snowSaturationIn, 0, 1);
+}
+
+function pixelAspectLoading(aspect, windLoading) {
+  // Flat terrain or edge: neutral aspect loading
+  return isNaN(aspect) ? 0 : windLoading[Math.round(aspect) % 360];
+}
+
+function pixelTrafficScore(tracked, model) {
+  return 1 - model.trackedWeight * tracked;
+}
+
+function pixelSunScore(crustRisk, model) {
+  return 1 - model.sunCrustWeight * crustRisk;
+}
 
-    const diff = angleDifference(aspect, leeward);
-    const leewardScore = (Math.cos(diff * Math.PI / 180) + 1) / 2;
+function pixelWindScore(aspectLoading, shelter, model) {
+  const loading = shelter != null
+    ? (1 - model.shelterWeight) * aspectLoading + model.shelterWeight * shelter
+    : aspectLoading;
+  return 0.5 + 0.5 * loading;
+}
+
+/**
+ * Summary statistics for a set of scores: mean, 90th percentile and the share
+ * of pixels at or above each threshold. Pass `indices` to restrict to a subset
+ * of the grid. Percentiles come from a 1000-bin histogram, so they're exact
+ * to ±0.001 without sorting millions of values.
+ *
+ * Returns { count, mean, p90, max, shareAbove: { [threshold]: fraction } }
+ */
+export function computeScoreStats(scores, thresholds = [0.6, 0.8], indices = null) {
+  const BINS = 1000;
+  const histogram = new Uint32Array(BINS + 1);
+  const count = indices ? indices.length : scores.length;
+  let sum = 0;
+  let max = 0;
 
-    scores[i] = snowFactor * (0.5 + (leewardScore - 0.5) * windTransport);
+  for (let k = 0; k < count; k++) {
+    const v = scores[indices ? indices[k] : k];
+    sum += v;
+    if (v > max) max = v;
+    histogram[Math.round(clamp(v, 0, 1) * BINS)]++;
   }
 
-  return scores;
+  const quantile = q => {
+    const target = q * count;
+    let seen = 0;
+    for (let b = 0; b <= BINS; b++) {
+      seen += histogram[b];
+      if (seen >= target) return b / BINS;
+    }
+    return 1;
+  };
+
+  const shareAbove = {};
+  for (const t of thresholds) {
+    let above = 0;
+    for (let b = Math.ceil(t * BINS); b <= BINS; b++) above += histogram[b];
+    shareAbove[t] = count > 0 ? above / count : 0;
+  }
+
+  return {
+    count,
+    mean: count > 0 ? sum / count : 0,
+    p90: count > 0 ? quantile(0.9) : 0,
+    max,
+    shareAbove
+  };
 }
@@ -0,0 +1,92 @@
+import { PROFILES_URL, DEFAULT_PROFILE_ID, MAP_ZOOM, LIFT_OPEN_HOUR, LIFT_CLOSE_HOUR } from './config.js';
+
+/**
+ * Area profiles describe everything that ties the map to one place.
+ *
+ * profiles/<id>.json:
+ * {
+ *   id, name,
+ *   center: { lat, lon },
+ *   zoom,                                        // optional, defaults to MAP_ZOOM
+ *   bounds: { sw: { lat, lon }, ne: { lat, lon } },
+ *   snotel: { station: '1300:UT:SNTL', name, lat, lon, elevationFt } | null,  // all but station
+ *                                                // optional; null with no station in or next to
+ *                                                // the area, for snowfall from nearbySnotel alone
+ *   nearbySnotel: [{ station, name, lat, lon, elevationFt }],  // optional; snowfall
+ *                                                // interpolated between stations, see snowfall-grid.js
+ *   wind: { lat, lon },                          // Open-Meteo point
+ *   resort: { adapter, url } | null,             // see RESORT_ADAPTERS in weather.js
+ *   runs: 'profiles/<id>-runs.geojson' | null,   // named runs/glades, see runs.js
+ *   lifts: 'profiles/<id>-lifts.geojson' | null, // lifts and groomers, see traffic.js
+ *   liftHours: { open, close },                  // optional local hours, default 9–16
+ *   providers: { wind: ['nws', 'open-meteo'] } | null  // optional data provider order
+ *                                                // per kind, see server/providers.js
+ * }
+ */
+
+/**
+ * Fetch the list of available profiles: [{ id, name }].
+ */
+export async function fetchProfileIndex() {
+  const res = await fetch(`${PROFILES_URL}index.json`);
+  if (!res.ok) throw new Error(`Profile index returned ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Fetch and validate a single area profile by id.
+ */
+export async function fetchProfile(id) {
+  const res = await fetch(`${PROFILES_URL}${encodeURIComponent(id)}.json`);
+  if (!res.ok) throw new Error(`Profile "${id}" returned ${res.status}`);
+  return normalizeProfile(await res.json());
+}
+
+/**
+ * Check required fields and fill in defaults.
+ */
+export function normalizeProfile(profile) {
+  const missing = ['id', 'name', 'center', 'bounds', 'wind']
+    .filter(key => profile[key] == null);
+  if (missing.length) {
+    throw new Error(`Profile "${profile.id ?? '?'}" is missing ${missing.join(', ')}`);
+  }
+
+  const nearbySnotel = profile.nearbySnotel ?? [];
+  if (profile.snotel ? !profile.snotel.station : nearbySnotel.length === 0) {
+    throw new Error(`Profile "${profile.id}" has no SNOTEL station`);
+  }
+  const unplaced = nearbySnotel.filter(site => !site.station || site.lat == null || site.lon == null);
+  if (unplaced.length) {
+    throw new Error(`Profile "${profile.id}" has nearby SNOTEL stations without station, lat or lon`);
+  }
+
+  return {
+    ...profile,
+    snotel: profile.snotel ? { ...profile.snotel, name: profile.snotel.name ?? profile.snotel.station } : null,
+    nearbySnotel: nearbySnotel.map(site => ({ ...site, name: site.name ?? site.station })),
+    zoom: profile.zoom ?? MAP_ZOOM,
+    resort: profile.resort ?? null,
+    runs: profile.runs ?? null,
+    lifts: profile.lifts ?? null,
+    liftHours: profile.liftHours ?? { open: LIFT_OPEN_HOUR, close: LIFT_CLOSE_HOUR },
+    providers: profile.providers ?? null
+  };
+}
+
+/**
+ * An area's SNOTEL station (primary or nearby) by station triplet, or null.
+ */
+export function findSnotelSite(area, station) {
+  return [area.snotel, ...area.nearbySnotel].find(site => site && site.station === station) || null;
+}
+
+/**
+ * Pick the profile id to start with: the ?area= URL parameter if it names a
+ * known profile, otherwise the default.
+ */
+export function resolveProfileId(index, search = window.location.search) {
+  const requested = new URLSearchParams(search).get('area');
+  if (requested && index.some(p => p.id === requested)) return requested;
+  return DEFAULT_PROFILE_ID;
+}
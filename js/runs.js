@@ -0,0 +1,284 @@
+import { RUN_GOOD_SCORE, RUN_LINE_HALF_WIDTH_M } from './config.js';
+import { lonLatToGridCoords } from './terrain.js';
+import { computeScoreStats } from './powder.js';
+
+/**
+ * Named runs, glades and tour zones, ranked by their powder scores.
+ *
+ * Input is a GeoJSON FeatureCollection — bundled with an area profile
+ * (profile.runs) or uploaded in the panel. Polygons are scored over their
+ * area; lines over a corridor RUN_LINE_HALF_WIDTH_M either side. Points and
+ * other geometries are ignored.
+ */
+
+const RUNS_SOURCE = 'runs';
+const RUNS_FILL_LAYER = 'runs-fill';
+const RUNS_LINE_LAYER = 'runs-line';
+
+const SCORED_TYPES = ['Polygon', 'MultiPolygon', 'LineString', 'MultiLineString'];
+
+// ── Loading ─────────────────────────────────────────────────────────
+
+/**
+ * Fetch and parse a bundled runs file.
+ */
+export async function fetchRuns(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Runs file returned ${res.status}`);
+  return parseRuns(await res.json());
+}
+
+/**
+ * Keep the scorable features of a GeoJSON FeatureCollection and give each a
+ * numeric id (for map feature-state) and a display name.
+ */
+export function parseRuns(geojson) {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new Error('Runs file is not a GeoJSON FeatureCollection');
+  }
+
+  const features = geojson.features
+    .filter(f => f && f.geometry && SCORED_TYPES.includes(f.geometry.type))
+    .map((f, i) => {
+      const props = f.properties || {};
+      return {
+        type: 'Feature',
+        id: i,
+        geometry: f.geometry,
+        properties: { ...props, name: String(props.name ?? props.Name ?? props.ref ?? `Unnamed ${i + 1}`) }
+      };
+    });
+
+  if (features.length === 0) throw new Error('Runs file has no polygons or lines');
+  return { type: 'FeatureCollection', features };
+}
+
+// ── Rasterizing ─────────────────────────────────────────────────────
+
+/**
+ * Grid pixels covered by each run.
+ *
+ * @param {Object} collection - From parseRuns
+ * @param {Object} gridBounds - From getGridBounds
+ * @param {number} width - Grid width in pixels
+ * @param {number} height - Grid height in pixels
+ * @param {number} cellSize - Meters per pixel
+ * @returns {Array} [{ id, name, indices: Uint32Array }] for runs inside the grid
+ */
+export function rasterizeRuns(collection, gridBounds, width, height, cellSize) {
+  const toGrid = ([lon, lat]) => lonLatToGridCoords(lon, lat, gridBounds, width, height);
+  const halfWidth = RUN_LINE_HALF_WIDTH_M / cellSize;
+  const runs = [];
+
+  for (const feature of collection.features) {
+    const { type, coordinates } = feature.geometry;
+    const pixels = [];
+
+    if (type === 'Polygon') {
+      fillPolygon(coordinates.map(ring => ring.map(toGrid)), width, height, pixels);
+    } else if (type === 'MultiPolygon') {
+      for (const poly of coordinates) fillPolygon(poly.map(ring => ring.map(toGrid)), width, height, pixels);
+    } else if (type === 'LineString') {
+      strokeLine(coordinates.map(toGrid), halfWidth, width, height, pixels);
+    } else {
+      for (const line of coordinates) strokeLine(line.map(toGrid), halfWidth, width, height, pixels);
+    }
+
+    const indices = uniqueSorted(pixels);
+    if (indices.length > 0) runs.push({ id: feature.id, name: feature.properties.name, indices });
+  }
+
+  return runs;
+}
+
+/**
+ * Scanline fill of a polygon (outer ring + holes, even-odd) in grid
+ * coordinates; a pixel is inside when its center is.
+ */
+function fillPolygon(rings, width, height, out) {
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const ring of rings) {
+    for (const [, y] of ring) {
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+
+  const rowStart = Math.max(0, Math.floor(minY));
+  const rowEnd = Math.min(height - 1, Math.ceil(maxY));
+  const crossings = [];
+
+  for (let row = rowStart; row <= rowEnd; row++) {
+    const cy = row + 0.5;
+    crossings.length = 0;
+
+    for (const ring of rings) {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [x1, y1] = ring[j];
+        const [x2, y2] = ring[i];
+        if ((y1 <= cy) !== (y2 <= cy)) {
+          crossings.push(x1 + (cy - y1) / (y2 - y1) * (x2 - x1));
+        }
+      }
+    }
+    crossings.sort((a, b) => a - b);
+
+    for (let k = 0; k + 1 < crossings.length; k += 2) {
+      const from = Math.max(0, Math.ceil(crossings[k] - 0.5));
+      const to = Math.min(width - 1, Math.floor(crossings[k + 1] - 0.5));
+      for (let col = from; col <= to; col++) out.push(row * width + col);
+    }
+  }
+}
+
+/**
+ * Pixels whose centers lie within halfWidth pixels of a polyline.
+ */
+export function strokeLine(points, halfWidth, width, height, out) {
+  const r2 = halfWidth * halfWidth;
+
+  for (let s = 0; s + 1 < points.length; s++) {
+    const [ax, ay] = points[s];
+    const [bx, by] = points[s + 1];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+
+    const colStart = Math.max(0, Math.floor(Math.min(ax, bx) - halfWidth));
+    const colEnd = Math.min(width - 1, Math.ceil(Math.max(ax, bx) + halfWidth));
+    const rowStart = Math.max(0, Math.floor(Math.min(ay, by) - halfWidth));
+    const rowEnd = Math.min(height - 1, Math.ceil(Math.max(ay, by) + halfWidth));
+
+    for (let row = rowStart; row <= rowEnd; row++) {
+      const py = row + 0.5;
+      for (let col = colStart; col <= colEnd; col++) {
+        const px = col + 0.5;
+        // Distance from the pixel center to the segment
+        const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+        const ex = ax + t * dx - px;
+        const ey = ay + t * dy - py;
+        if (ex * ex + ey * ey <= r2) out.push(row * width + col);
+      }
+    }
+  }
+}
+
+function uniqueSorted(values) {
+  const sorted = Uint32Array.from(values).sort();
+  let n = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    if (i === 0 || sorted[i] !== sorted[i - 1]) sorted[n++] = sorted[i];
+  }
+  return sorted.slice(0, n);
+}
+
+// ── Ranking ─────────────────────────────────────────────────────────
+
+/**
+ * Score stats per run, best first (by 90th percentile, then mean) — a run
+ * with one great line beats one that's uniformly mediocre.
+ *
+ * Returns [{ id, name, pixels, mean, p90, goodShare }]; goodShare is the
+ * fraction of the run scoring at least RUN_GOOD_SCORE.
+ */
+export function rankRuns(runs, scores) {
+  return runs
+    .map(run => {
+      const stats = computeScoreStats(scores, [RUN_GOOD_SCORE], run.indices);
+      return {
+        id: run.id,
+        name: run.name,
+        pixels: stats.count,
+        mean: stats.mean,
+        p90: stats.p90,
+        goodShare: stats.shareAbove[RUN_GOOD_SCORE]
+      };
+    })
+    .sort((a, b) => (b.p90 - a.p90) || (b.mean - a.mean));
+}
+
+// ── Map layers ──────────────────────────────────────────────────────
+
+/**
+ * Show run outlines on the map, replacing any previous set.
+ */
+export function addRunsToMap(map, collection) {
+  if (map.getSource(RUNS_SOURCE)) {
+    map.getSource(RUNS_SOURCE).setData(collection);
+    return;
+  }
+
+  const highlighted = ['boolean', ['feature-state', 'highlight'], false];
+
+  map.addSource(RUNS_SOURCE, { type: 'geojson', data: collection });
+
+  map.addLayer({
+    id: RUNS_FILL_LAYER,
+    type: 'fill',
+    source: RUNS_SOURCE,
+    filter: ['==', ['geometry-type'], 'Polygon'],
+    paint: {
+      'fill-color': '#38bdf8',
+      'fill-opacity': ['case', highlighted, 0.25, 0]
+    }
+  });
+
+  map.addLayer({
+    id: RUNS_LINE_LAYER,
+    type: 'line',
+    source: RUNS_SOURCE,
+    paint: {
+      'line-color': ['case', highlighted, '#38bdf8', 'rgba(255, 255, 255, 0.6)'],
+      'line-width': ['case', highlighted, 3, 1.2]
+    }
+  });
+}
+
+/**
+ * Remove run outlines, if shown.
+ */
+export function removeRunsFromMap(map) {
+  for (const id of [RUNS_LINE_LAYER, RUNS_FILL_LAYER]) {
+    if (map.getLayer(id)) map.removeLayer(id);
+  }
+  if (map.getSource(RUNS_SOURCE)) map.removeSource(RUNS_SOURCE);
+}
+
+/**
+ * Keep run outlines above layers added after them (e.g. the score overlay).
+ */
+export function moveRunsToTop(map) {
+  for (const id of [RUNS_FILL_LAYER, RUNS_LINE_LAYER]) {
+    if (map.getLayer(id)) map.moveLayer(id);
+  }
+}
+
+/**
+ * Highlight one run (or none, with id null).
+ */
+export function highlightRun(map, id) {
+  if (!map.getSource(RUNS_SOURCE)) return;
+  map.removeFeatureState({ source: RUNS_SOURCE });
+  if (id != null) map.setFeatureState({ source: RUNS_SOURCE, id }, { highlight: true });
+}
+
+/**
+ * [[west, south], [east, north]] of a feature, for map.fitBounds.
+ */
+export function featureBounds(feature) {
+  let west = Infinity, south = Infinity, east = -Infinity, north = -Infinity;
+  const visit = coords => {
+    if (typeof coords[0] === 'number') {
+      const [lon, lat] = coords;
+      if (lon < west) west = lon;
+      if (lon > east) east = lon;
+      if (lat < south) south = lat;
+      if (lat > north) north = lat;
+    } else {
+      coords.forEach(visit);
+    }
+  };
+  visit(feature.geometry.coordinates);
+  return [[west, south], [east, north]];
+}
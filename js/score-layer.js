@@ -0,0 +1,244 @@
+/**
+ * Mapbox custom WebGL layer that draws the powder score grid.
+ *
+ * Scores are uploaded once, at full resolution, as a single-channel float
+ * texture on a quad spanning the stitched tile grid; a fragment shader colors
+ * them through a 256px ramp texture. Threshold, opacity and ramp are uniforms
+ * or a tiny texture, so restyling is just a repaint.
+ *
+ * GL uploads are deferred to render(), where Mapbox expects its GL state to be
+ * touched and resets its state cache afterwards.
+ */
+
+const VERTEX_SHADER = `#version 300 es
+uniform mat4 u_matrix;
+in vec2 a_pos;   // Mercator coordinates
+in vec2 a_uv;
+out vec2 v_uv;
+
+void main() {
+  v_uv = a_uv;
+  gl_Position = u_matrix * vec4(a_pos, 0.0, 1.0);
+}`;
+
+const FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+uniform sampler2D u_scores;
+uniform sampler2D u_ramp;
+uniform float u_threshold;  // lowest score drawn
+uniform float u_cutoff;     // ramp position where its visible part begins
+uniform float u_opacity;
+in vec2 v_uv;
+out vec4 fragColor;
+
+void main() {
+  float score = texture(u_scores, v_uv).r;
+  // Also drops NaN (grid edges without slope data)
+  if (!(score >= u_threshold)) discard;
+
+  // Stretch the ramp's visible part to start at the threshold
+  float t = u_cutoff + (score - u_threshold) / max(1.0 - u_threshold, 1e-6) * (1.0 - u_cutoff);
+  vec4 color = texture(u_ramp, vec2(clamp(t, 0.0, 1.0), 0.5));
+  fragColor = vec4(color.rgb * color.a, color.a) * u_opacity;  // premultiplied
+}`;
+
+/**
+ * Create a custom layer for map.addLayer().
+ * Feed it with setScores() and restyle it with setStyle(); both may be called
+ * before the layer is added.
+ *
+ * @param {string} id - Layer id
+ * @returns {Object} Mapbox CustomLayerInterface plus setScores/setStyle
+ */
+export function createScoreLayer(id) {
+  let map = null;
+  let program = null;
+  let locations = null;
+  let quadBuffer = null;
+  let scoreTexture = null;
+  let rampTexture = null;
+  let linearFloat = false;
+
+  // Data waiting for the next render() to upload
+  let pendingScores = null;  // { scores, width, height, gridBounds }
+  let pendingRamp = null;    // Uint8Array, 256 × RGBA
+  let hasScores = false;
+
+  const uniforms = { threshold: 0.35, cutoff: 0.35, opacity: 0.75 };
+
+  function uploadScores(gl) {
+    const { width, height, gridBounds } = pendingScores;
+    const max = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+    const fitted = fitToSize(pendingScores.scores, width, height, max);
+    pendingScores = null;
+
+    gl.bindTexture(gl.TEXTURE_2D, scoreTexture);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, fitted.width, fitted.height, 0, gl.RED, gl.FLOAT, fitted.scores);
+
+    // Row 0 of the grid is the north edge
+    const nw = mapboxgl.MercatorCoordinate.fromLngLat([gridBounds.west, gridBounds.north]);
+    const se = mapboxgl.MercatorCoordinate.fromLngLat([gridBounds.east, gridBounds.south]);
+    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+      // x, y, u, v
+      nw.x, nw.y, 0, 0,
+      se.x, nw.y, 1, 0,
+      nw.x, se.y, 0, 1,
+      se.x, se.y, 1, 1,
+    ]), gl.STATIC_DRAW);
+
+    hasScores = true;
+  }
+
+  function uploadRamp(gl) {
+    gl.bindTexture(gl.TEXTURE_2D, rampTexture);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, pendingRamp.length / 4, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, pendingRamp);
+    pendingRamp = null;
+  }
+
+  return {
+    id,
+    type: 'custom',
+    renderingMode: '2d',
+
+    onAdd(m, gl) {
+      map = m;
+      program = createProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+      locations = {
+        pos: gl.getAttribLocation(program, 'a_pos'),
+        uv: gl.getAttribLocation(program, 'a_uv'),
+        matrix: gl.getUniformLocation(program, 'u_matrix'),
+        scores: gl.getUniformLocation(program, 'u_scores'),
+        ramp: gl.getUniformLocation(program, 'u_ramp'),
+        threshold: gl.getUniformLocation(program, 'u_threshold'),
+        cutoff: gl.getUniformLocation(program, 'u_cutoff'),
+        opacity: gl.getUniformLocation(program, 'u_opacity'),
+      };
+      quadBuffer = gl.createBuffer();
+
+      // Float textures are only filterable with this extension; without it
+      // each grid cell is drawn as a crisp square
+      linearFloat = !!gl.getExtension('OES_texture_float_linear');
+      scoreTexture = createTexture(gl, linearFloat ? gl.LINEAR : gl.NEAREST);
+      rampTexture = createTexture(gl, gl.LINEAR);
+    },
+
+    render(gl, matrix) {
+      if (pendingScores) uploadScores(gl);
+      if (pendingRamp) uploadRamp(gl);
+      if (!hasScores) return;
+
+      gl.useProgram(program);
+      gl.uniformMatrix4fv(locations.matrix, false, matrix);
+      gl.uniform1f(locations.threshold, uniforms.threshold);
+      gl.uniform1f(locations.cutoff, uniforms.cutoff);
+      gl.uniform1f(locations.opacity, uniforms.opacity);
+
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, scoreTexture);
+      gl.uniform1i(locations.scores, 0);
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, rampTexture);
+      gl.uniform1i(locations.ramp, 1);
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+      gl.enableVertexAttribArray(locations.pos);
+      gl.vertexAttribPointer(locations.pos, 2, gl.FLOAT, false, 16, 0);
+      gl.enableVertexAttribArray(locations.uv);
+      gl.vertexAttribPointer(locations.uv, 2, gl.FLOAT, false, 16, 8);
+
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    },
+
+    onRemove(m, gl) {
+      gl.deleteTexture(scoreTexture);
+      gl.deleteTexture(rampTexture);
+      gl.deleteBuffer(quadBuffer);
+      gl.deleteProgram(program);
+      map = null;
+      hasScores = false;
+    },
+
+    /**
+     * Replace the score grid.
+     * @param {Float32Array} scores - Row-major, north row first
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} gridBounds - { north, south, east, west } of the grid
+     */
+    setScores(scores, width, height, gridBounds) {
+      pendingScores = { scores, width, height, gridBounds };
+      map?.triggerRepaint();
+    },
+
+    /**
+     * Update any of { rampPixels, threshold, cutoff, opacity }.
+     * rampPixels is a 256 × RGBA Uint8Array sampled across scores 0–1.
+     */
+    setStyle({ rampPixels, ...values }) {
+      if (rampPixels) pendingRamp = rampPixels;
+      for (const key of Object.keys(uniforms)) {
+        if (values[key] != null) uniforms[key] = values[key];
+      }
+      map?.triggerRepaint();
+    }
+  };
+}
+
+// ── GL helpers ──────────────────────────────────────────────────────
+
+function createProgram(gl, vertexSource, fragmentSource) {
+  const program = gl.createProgram();
+  for (const [type, source] of [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(`Score layer shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+    }
+    gl.attachShader(program, shader);
+  }
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Score layer program failed to link: ${gl.getProgramInfoLog(program)}`);
+  }
+  return program;
+}
+
+function createTexture(gl, filter) {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  return texture;
+}
+
+/**
+ * Nearest-neighbour downsample a grid that exceeds the GPU's texture limit.
+ */
+function fitToSize(scores, width, height, maxDim) {
+  if (width <= maxDim && height <= maxDim) return { scores, width, height };
+
+  const scale = maxDim / Math.max(width, height);
+  const outW = Math.max(1, Math.floor(width * scale));
+  const outH = Math.max(1, Math.floor(height * scale));
+  const out = new Float32Array(outW * outH);
+  for (let y = 0; y < outH; y++) {
+    const srcRow = Math.min(Math.floor(y / scale), height - 1) * width;
+    for (let x = 0; x < outW; x++) {
+      out[y * outW + x] = scores[srcRow + Math.min(Math.floor(x / scale), width - 1)];
+    }
+  }
+  console.warn(`Score grid ${width}×${height} exceeds GPU texture limit — drawn at ${outW}×${outH}`);
+  return { scores: out, width: outW, height: outH };
+}
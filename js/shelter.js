@@ -0,0 +1,151 @@
+import { clamp } from './utils.js';
+import { windTransport } from './powder.js';
+
+// How far upwind to look for sheltering terrain (meters)
+const SHELTER_SEARCH_DISTANCE = 300;
+
+// Number of upwind samples, geometrically spaced from one cell out to the search distance
+const SHELTER_SAMPLES = 24;
+
+// Upwind horizon angle (degrees) treated as fully sheltered (+) or fully exposed (−)
+const SHELTER_SATURATION_ANGLE = 15;
+
+// Wind directions are binned into sectors this wide; one scan per sector
+const SECTOR_WIDTH = 45;
+
+// Sectors carrying less than this share of the period's wind are ignored
+const MIN_SECTOR_SHARE = 0.1;
+
+// Per-elevation-grid cache of sector scans: elevations → Map(sectorDir → Float32Array)
+const sectorCache = new WeakMap();
+
+/**
+ * Compute the upwind shelter index (Winstral's Sx) for every pixel: the
+ * steepest upward angle from the pixel to any terrain within
+ * SHELTER_SEARCH_DISTANCE in the wind-from direction.
+ *
+ * Positive = sheltered behind higher upwind terrain (deposition zone),
+ * negative = exposed, e.g. a ridgeline or windward slope (scoured).
+ *
+ * @param {Float32Array} elevations - Elevation in meters per pixel
+ * @param {number} width - Grid width in pixels
+ * @param {number} height - Grid height in pixels
+ * @param {number} cellSize - Meters per pixel
+ * @param {number} windDir - Wind-from direction in degrees
+ * @returns {Float32Array} Horizon angle in degrees per pixel (0 where nothing upwind)
+ */
+export function computeShelterIndex(elevations, width, height, cellSize, windDir) {
+  const sx = new Float32Array(width * height);
+
+  // Unit step towards where the wind comes from (grid y grows southward)
+  const rad = windDir * Math.PI / 180;
+  const ux = Math.sin(rad);
+  const uy = -Math.cos(rad);
+
+  // Precompute pixel offsets and distances for each upwind sample
+  const maxCells = SHELTER_SEARCH_DISTANCE / cellSize;
+  const offX = [];
+  const offY = [];
+  const dist = [];
+  for (let k = 0; k < SHELTER_SAMPLES; k++) {
+    const cells = Math.pow(maxCells, k / (SHELTER_SAMPLES - 1));
+    const ox = Math.round(ux * cells);
+    const oy = Math.round(uy * cells);
+    if (ox === offX[offX.length - 1] && oy === offY[offY.length - 1]) continue;
+    if (ox === 0 && oy === 0) continue;
+    offX.push(ox);
+    offY.push(oy);
+    dist.push(Math.hypot(ox, oy) * cellSize);
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const z0 = elevations[y * width + x];
+      let maxTan = -Infinity;
+
+      for (let k = 0; k < offX.length; k++) {
+        const nx = x + offX[k];
+        const ny = y + offY[k];
+        // Samples march steadily away, so once off the grid we're done
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) break;
+        const tan = (elevations[ny * width + nx] - z0) / dist[k];
+        if (tan > maxTan) maxTan = tan;
+      }
+
+      sx[y * width + x] = maxTan === -Infinity ? 0 : Math.atan(maxTan) * 180 / Math.PI;
+    }
+  }
+
+  return sx;
+}
+
+/**
+ * Combine shelter scans over the period's winds into one grid in [-1, 1]
+ * (+1 fully sheltered, −1 fully exposed), weighted hour by hour the same way
+ * as computeWindLoading: transport (windTransport, full at transportCapMph)
+ * × (1 + precip * 10).
+ *
+ * Hourly directions are binned into SECTOR_WIDTH sectors so only a handful of
+ * scans are needed; scans are cached per terrain grid and sector.
+ *
+ * Returns a Float32Array or null if there is no usable wind data.
+ */
+export function computeShelterGrid(terrain, hourly, transportCapMph) {
+  const speeds = hourly.wind_speed_10m;
+  const dirs = hourly.wind_direction_10m;
+  const precip = hourly.precipitation;
+
+  if (!speeds || !dirs || speeds.length === 0 || !terrain.cellSize) return null;
+
+  // Accumulate weight and transport per sector
+  const sectors = new Map();
+  let totalWeight = 0;
+  for (let i = 0; i < speeds.length; i++) {
+    const spd = speeds[i];
+    const dir = dirs[i];
+    if (spd == null || dir == null) continue;
+
+    const p = (precip && precip[i] != null) ? precip[i] : 0;
+    const weight = 1 + p * 10;
+    const sector = (Math.round(dir / SECTOR_WIDTH) * SECTOR_WIDTH) % 360;
+    const entry = sectors.get(sector) || { weight: 0, weightedTransport: 0 };
+    entry.weight += weight;
+    entry.weightedTransport += weight * windTransport(spd, transportCapMph);
+    sectors.set(sector, entry);
+    totalWeight += weight;
+  }
+
+  if (totalWeight === 0) return null;
+
+  const { elevations, width, height, cellSize } = terrain;
+  let cache = sectorCache.get(elevations);
+  if (!cache) {
+    cache = new Map();
+    sectorCache.set(elevations, cache);
+  }
+
+  const shelter = new Float32Array(width * height);
+  let usedWeight = 0;
+
+  for (const [sector, entry] of sectors) {
+    if (entry.weight / totalWeight < MIN_SECTOR_SHARE) continue;
+
+    let sx = cache.get(sector);
+    if (!sx) {
+      sx = computeShelterIndex(elevations, width, height, cellSize, sector);
+      cache.set(sector, sx);
+    }
+
+    // Sector contributes its saturated shelter scaled by its mean transport
+    const transport = entry.weightedTransport / entry.weight;
+    for (let i = 0; i < shelter.length; i++) {
+      shelter[i] += entry.weight * transport * clamp(sx[i] / SHELTER_SATURATION_ANGLE, -1, 1);
+    }
+    usedWeight += entry.weight;
+  }
+
+  if (usedWeight === 0) return null;
+
+  for (let i = 0; i < shelter.length; i++) shelter[i] /= usedWeight;
+  return shelter;
+}
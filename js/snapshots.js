@@ -0,0 +1,89 @@
+/**
+ * Last-known weather responses, kept in IndexedDB so the map still works at
+ * a trailhead with no signal.
+ *
+ * Each successful SNOTEL, wind, forecast or resort fetch is saved under a
+ * per-area key ('<area>/<source>/<window>'); when the same fetch can't reach
+ * its data, the saved copy stands in, together with the time it was saved.
+ */
+
+const DB_NAME = 'powder-map-weather';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+/**
+ * Open (or create) the IndexedDB database.
+ */
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME);
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Save a fetched value as the latest snapshot for a key.
+ */
+export async function saveSnapshot(key, value) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    tx.objectStore(STORE_NAME).put({ value, savedAt: Date.now() }, key);
+    tx.oncomplete = () => { db.close(); resolve(); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+}
+
+/**
+ * Load the latest snapshot for a key.
+ * Returns { value, savedAt } or null if none.
+ */
+export async function loadSnapshot(key) {
+  try {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const req = tx.objectStore(STORE_NAME).get(key);
+      req.onsuccess = () => { db.close(); resolve(req.result || null); };
+      req.onerror = () => { db.close(); reject(req.error); };
+    });
+  } catch {
+    // IndexedDB unavailable (e.g. private browsing in some browsers)
+    return null;
+  }
+}
+
+/**
+ * Settle a fetch against its snapshot: a successful result is saved and
+ * returned with savedAt null; a FetchError (weather.js: no network, or the
+ * proxy failed) returns the last saved result with its savedAt time. Any
+ * other failure, such as a response that doesn't parse, and a FetchError
+ * with nothing saved are rethrown.
+ *
+ * @param {string} key - Snapshot key
+ * @param {Promise} promise - The fetch
+ * @returns {Promise<{ value, savedAt: number|null }>}
+ */
+export async function withSnapshot(key, promise) {
+  let value;
+  try {
+    value = await promise;
+  } catch (err) {
+    if (err.name !== 'FetchError') throw err;
+    const snapshot = await loadSnapshot(key);
+    if (!snapshot) throw err;
+    return snapshot;
+  }
+
+  if (value != null) {
+    saveSnapshot(key, value).catch(e => console.warn('Failed to save weather snapshot:', e));
+  }
+  return { value, savedAt: null };
+}
@@ -0,0 +1,109 @@
+import { gridCoordsToLonLat } from './terrain.js';
+import { orographicFactor } from './snowline.js';
+
+// Inverse-distance weighting exponent
+const IDW_POWER = 2;
+
+const METERS_PER_DEG_LAT = 110540;
+const METERS_PER_DEG_LON = 111320; // at the equator; scaled by cos(lat)
+
+/**
+ * SNOTEL stations that can place snowfall on the map: the area's own station
+ * and its nearbySnotel stations, where each has coordinates and a report.
+ *
+ * @param {Object} area - Area profile (see profiles.js)
+ * @param {Object|null} snotel - Primary station summary (summarizeSnotel)
+ * @param {Array<{site, summary}>} nearby - Nearby station summaries
+ * Returns [{ station, name, lat, lon, elevFt, snowfall, primary, warnings }]
+ */
+export function snowfallStations(area, snotel, nearby) {
+  const stations = [];
+  const add = (site, summary, primary) => {
+    if (!summary || summary.source !== 'snotel' || site.lat == null || site.lon == null) return;
+    if (summary.totalSnowfall == null) return;
+    stations.push({
+      station: site.station,
+      name: site.name,
+      lat: site.lat,
+      lon: site.lon,
+      elevFt: summary.stationElevFt,
+      snowfall: summary.totalSnowfall,
+      primary,
+      warnings: summary.warnings ?? []
+    });
+  };
+
+  if (area.snotel) add(area.snotel, snotel, true);
+  for (const { site, summary } of nearby) add(site, summary, false);
+  return stations;
+}
+
+/**
+ * Spread station snowfall over the terrain grid.
+ *
+ * Each station's snowfall is first brought to the primary station's
+ * elevation with the orographic gain, so a high station doesn't read as a
+ * wetter one. Those values are interpolated by inverse distance, and each
+ * pixel gets the area's (fused) snowfall plus how far the interpolated value
+ * sits above or below the primary station's. The result is snowfall at the
+ * primary station's elevation; pixelSnowFactor still applies the per-pixel
+ * elevation multiplier on top.
+ *
+ * Without the primary station (no report, or no total from it) the other
+ * stations' snowfall, brought to the first one's elevation, is interpolated
+ * as it stands, so their snow still reaches the map.
+ *
+ * @param {Array} stations - From snowfallStations
+ * @param {number} baseSnowfall - Snowfall at the primary station (fused)
+ * @param {Object} terrain - { width, height }
+ * @param {Object} gridBounds - { north, south, east, west } of the grid
+ * @returns {Float32Array|null} Snowfall (inches) per pixel, or null with
+ *   only the primary station (or none)
+ */
+export function interpolateSnowfall(stations, baseSnowfall, terrain, gridBounds) {
+  const primary = stations.find(s => s.primary);
+  if (primary ? stations.length < 2 : stations.length === 0) return null;
+
+  const { width, height } = terrain;
+  const refElevFt = (primary || stations[0]).elevFt;
+  const normalized = stations.map(s => (
+    s.elevFt != null && refElevFt != null
+      ? s.snowfall / orographicFactor(s.elevFt - refElevFt)
+      : s.snowfall
+  ));
+  // Offsets from the primary station ride on the fused snowfall; without it
+  // the station values are the snowfall
+  const base = primary ? baseSnowfall : 0;
+  const anchor = primary ? normalized[stations.indexOf(primary)] : 0;
+
+  // Mercator grid: longitude depends only on x, latitude only on y
+  const lons = new Float64Array(width);
+  const lats = new Float64Array(height);
+  for (let x = 0; x < width; x++) lons[x] = gridCoordsToLonLat(x + 0.5, 0, gridBounds, width, height)[0];
+  for (let y = 0; y < height; y++) lats[y] = gridCoordsToLonLat(0, y + 0.5, gridBounds, width, height)[1];
+  const lonScale = METERS_PER_DEG_LON * Math.cos((gridBounds.north + gridBounds.south) / 2 * Math.PI / 180);
+
+  const grid = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let weightSum = 0;
+      let exact = null;
+
+      for (let s = 0; s < stations.length; s++) {
+        const dx = (lons[x] - stations[s].lon) * lonScale;
+        const dy = (lats[y] - stations[s].lat) * METERS_PER_DEG_LAT;
+        const d2 = dx * dx + dy * dy;
+        if (d2 < 1) { exact = normalized[s]; break; }
+        const w = 1 / d2 ** (IDW_POWER / 2);
+        sum += w * normalized[s];
+        weightSum += w;
+      }
+
+      const value = exact ?? sum / weightSum;
+      grid[y * width + x] = Math.max(0, base + value - anchor);
+    }
+  }
+
+  return grid;
+}
@@ -0,0 +1,63 @@
+import { LAPSE_RATE_F_PER_1000FT } from './config.js';
+import { clamp } from './utils.js';
+
+const FEET_PER_METER = 3.28084;
+
+// Precipitation falls as all snow at or below this air temperature (°F)...
+const ALL_SNOW_F = 33;
+// ...and as all rain at or above this one, mixed in between
+const ALL_RAIN_F = 37;
+
+// Orographic enhancement: fractional snowfall increase per 1000 ft above the station
+const OROGRAPHIC_GAIN_PER_1000FT = 0.08;
+const OROGRAPHIC_MIN = 0.5;
+const OROGRAPHIC_MAX = 1.5;
+
+/**
+ * Build a lapse-rate snow line model from a station temperature.
+ *
+ * Returns { tempF, stationElevFt, freezingLevelFt, rainSnowLineFt } or null
+ * when no temperature is available.
+ */
+export function computeSnowLine(tempF, stationElevFt) {
+  if (tempF == null || isNaN(tempF) || stationElevFt == null) return null;
+
+  const lapse = LAPSE_RATE_F_PER_1000FT / 1000;
+  const freezingLevelFt = stationElevFt + (tempF - 32) / lapse;
+  // Rain/snow line sits where the mix is half and half
+  const rainSnowLineFt = stationElevFt + (tempF - (ALL_SNOW_F + ALL_RAIN_F) / 2) / lapse;
+
+  return { tempF, stationElevFt, freezingLevelFt, rainSnowLineFt };
+}
+
+/**
+ * Fraction of precipitation falling as snow at the given air temperature.
+ */
+function snowFraction(tempF) {
+  return clamp((ALL_RAIN_F - tempF) / (ALL_RAIN_F - ALL_SNOW_F), 0, 1);
+}
+
+/**
+ * Multiplier applied to station snowfall at a given elevation (meters):
+ * orographic scaling with height times the fraction falling as snow there.
+ * Returns 1 when there is no snow line model (no station temperature).
+ */
+export function elevationSnowMultiplier(elevM, snowLine) {
+  if (!snowLine || isNaN(elevM)) return 1;
+
+  const dzFt = elevM * FEET_PER_METER - snowLine.stationElevFt;
+  const tempF = snowLine.tempF - dzFt * LAPSE_RATE_F_PER_1000FT / 1000;
+
+  return orographicFactor(dzFt) * snowFraction(tempF);
+}
+
+/**
+ * Orographic snowfall scaling for a height difference (ft) above a station.
+ */
+export function orographicFactor(dzFt) {
+  return clamp(
+    1 + OROGRAPHIC_GAIN_PER_1000FT * dzFt / 1000,
+    OROGRAPHIC_MIN,
+    OROGRAPHIC_MAX
+  );
+}
@@ -0,0 +1,171 @@
+import { LAPSE_RATE_F_PER_1000FT } from './config.js';
+import { hourlyTimeToEpoch } from './weather.js';
+import { clamp } from './utils.js';
+
+const FEET_PER_METER = 3.28084;
+const DEG = Math.PI / 180;
+
+// Top-of-atmosphere solar irradiance (W/m²)
+const SOLAR_CONSTANT = 1361;
+
+// An hour with at least this much precip (inches) is still storming — cloudy,
+// and fresh snow is landing on whatever the sun did before
+const STORM_PRECIP_IN = 0.01;
+
+// Direct-beam energy on the slope since the storm (kWh/m²) that bakes a
+// surface into crust at warm temperatures — about one clear midwinter day on
+// a steep south face
+const CRUST_ENERGY_KWH = 3.0;
+
+// Air temperature (°F) below which the sun barely affects dry snow, and at
+// which it crusts readily; CRUST_COLD_FACTOR is the residual effect when cold
+const CRUST_COLD_F = 10;
+const CRUST_WARM_F = 32;
+const CRUST_COLD_FACTOR = 0.2;
+
+/**
+ * Sun position for a moment and place (low-precision almanac formulas,
+ * good to a fraction of a degree).
+ *
+ * Returns { azimuth, elevation } in degrees; azimuth clockwise from north.
+ */
+export function sunPosition(epochMs, lat, lon) {
+  const d = epochMs / 86400000 + 2440587.5 - 2451545.0; // days since J2000
+
+  const g = (357.529 + 0.98560028 * d) * DEG;               // mean anomaly
+  const q = 280.459 + 0.98564736 * d;                      // mean longitude
+  const L = (q + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * DEG;
+  const e = (23.439 - 0.00000036 * d) * DEG;                // obliquity
+
+  const ra = Math.atan2(Math.cos(e) * Math.sin(L), Math.cos(L));
+  const dec = Math.asin(Math.sin(e) * Math.sin(L));
+
+  const gmstHours = 18.697374558 + 24.06570982441908 * d;
+  const hourAngle = (gmstHours * 15 + lon) * DEG - ra;
+  const phi = lat * DEG;
+
+  const elevation = Math.asin(
+    Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle)
+  );
+  const azimuth = Math.atan2(
+    -Math.sin(hourAngle),
+    Math.tan(dec) * Math.cos(phi) - Math.sin(phi) * Math.cos(hourAngle)
+  );
+
+  return {
+    azimuth: ((azimuth / DEG) % 360 + 360) % 360,
+    elevation: elevation / DEG
+  };
+}
+
+/**
+ * Clear-sky direct-normal irradiance (W/m²) at a sun elevation, from the
+ * Kasten–Young air mass and Meinel's attenuation.
+ */
+function directNormalIrradiance(elevationDeg) {
+  if (elevationDeg <= 0) return 0;
+  const airMass = 1 / (Math.sin(elevationDeg * DEG) + 0.50572 * (elevationDeg + 6.07995) ** -1.6364);
+  return SOLAR_CONSTANT * 0.7 ** (airMass ** 0.678);
+}
+
+/**
+ * Direct-beam energy reaching every aspect/slope combination over the hours
+ * after the storm (the last hour with STORM_PRECIP_IN or more) to the end of
+ * the period. `hourly` should reach back before the scoring window (the
+ * history kept by weather.js) so a storm that ended before it still counts.
+ * The beam is Open-Meteo's modelled direct normal irradiance where the hourly
+ * data has it, so clouds count, and clear sky otherwise. Terrain shading by
+ * neighbouring ridges is ignored.
+ *
+ * Returns { energy: Float32Array(360 * 91) of kWh/m² indexed
+ * [aspect * 91 + slope] in whole degrees, sunHours, stormEnd (epoch ms or
+ * null if it didn't snow) } or null without timestamps or a location.
+ */
+export function computeSolarExposure(hourly, utcOffsetSeconds, lat, lon) {
+  const times = hourly.time;
+  if (!times || times.length === 0 || lat == null || lon == null) return null;
+
+  const precip = hourly.precipitation || [];
+  const dni = hourly.direct_normal_irradiance;
+  let lastStormHour = -1;
+  for (let i = 0; i < times.length; i++) {
+    if (precip[i] != null && precip[i] >= STORM_PRECIP_IN) lastStormHour = i;
+  }
+
+  const energy = new Float32Array(360 * 91);
+  let sunHours = 0;
+
+  for (let i = lastStormHour + 1; i < times.length; i++) {
+    // Hourly values cover the hour ending at `time`; sample its midpoint
+    const mid = hourlyTimeToEpoch(times[i], utcOffsetSeconds) - 30 * 60 * 1000;
+    const sun = sunPosition(mid, lat, lon);
+    if (sun.elevation <= 0) continue;
+    const irradiance = dni && dni[i] != null ? dni[i] : directNormalIrradiance(sun.elevation);
+    const beam = irradiance / 1000; // kW/m² for one hour → kWh/m²
+    if (beam <= 0) continue;
+    sunHours++;
+
+    const sinElev = Math.sin(sun.elevation * DEG);
+    const cosElev = Math.cos(sun.elevation * DEG);
+
+    for (let aspect = 0; aspect < 360; aspect++) {
+      const cosAz = Math.cos((sun.azimuth - aspect) * DEG);
+      for (let slope = 0; slope <= 90; slope++) {
+        // Angle of incidence on a tilted plane
+        const cosIncidence = Math.cos(slope * DEG) * sinElev + Math.sin(slope * DEG) * cosElev * cosAz;
+        if (cosIncidence > 0) energy[aspect * 91 + slope] += beam * cosIncidence;
+      }
+    }
+  }
+
+  return {
+    energy,
+    sunHours,
+    stormEnd: lastStormHour >= 0 ? hourlyTimeToEpoch(times[lastStormHour], utcOffsetSeconds) : null
+  };
+}
+
+/**
+ * Solar energy since the storm (kWh/m²) for one pixel.
+ */
+export function pixelSolarEnergy(solar, aspect, slope) {
+  // Flat ground (or grid edge) faces the sky; aspect doesn't matter
+  const a = isNaN(aspect) ? 0 : Math.round(aspect) % 360;
+  const s = isNaN(slope) ? 0 : clamp(Math.round(slope), 0, 90);
+  return solar.energy[a * 91 + s];
+}
+
+/**
+ * Sun-crust risk for one pixel, [0, 1]: solar energy since the storm relative
+ * to CRUST_ENERGY_KWH, scaled by how warm the air is at that elevation
+ * (station temperature carried up or down the lapse rate). Without a
+ * temperature the energy alone decides.
+ */
+export function pixelCrustRisk(solar, aspect, slope, elevM, airTempF, stationElevFt) {
+  const exposure = clamp(pixelSolarEnergy(solar, aspect, slope) / CRUST_ENERGY_KWH, 0, 1);
+  if (exposure === 0 || airTempF == null || stationElevFt == null || isNaN(elevM)) return exposure;
+
+  const tempF = airTempF - (elevM * FEET_PER_METER - stationElevFt) * LAPSE_RATE_F_PER_1000FT / 1000;
+  const warmth = clamp((tempF - CRUST_COLD_F) / (CRUST_WARM_F - CRUST_COLD_F), CRUST_COLD_FACTOR, 1);
+  return exposure * warmth;
+}
+
+/**
+ * Sun-crust risk for every terrain pixel, or null if there's no solar model.
+ *
+ * @param {Object} terrain - From fetchTerrainGrid/buildTerrainGrid
+ * @param {Object|null} solar - From computeSolarExposure
+ * @param {number|null} airTempF - Station air temperature
+ * @param {number|null} stationElevFt - Station elevation
+ * @returns {Float32Array|null} Risk per pixel, [0, 1]
+ */
+export function computeSunCrustGrid(terrain, solar, airTempF, stationElevFt) {
+  if (!solar || solar.sunHours === 0) return null;
+
+  const { aspectGrid, slopeGrid, elevations, width, height } = terrain;
+  const grid = new Float32Array(width * height);
+  for (let i = 0; i < grid.length; i++) {
+    grid[i] = pixelCrustRisk(solar, aspectGrid[i], slopeGrid[i], elevations[i], airTempF, stationElevFt);
+  }
+  return grid;
+}
@@ -1,72 +1,225 @@
-import { BOUNDS, TERRAIN_ZOOM } from './config.js';
+import { TILE_CACHE_MAX_MB, TILE_CACHE_QUOTA_SHARE } from './config.js';
+
+/**
+ * IndexedDB cache of decoded Terrain-RGB tiles, keyed by z/x/y so any area
+ * (or a nudged bounding box) reuses whatever tiles it overlaps.
+ *
+ * Two stores: `tiles` holds the elevation arrays, `tileMeta` holds small
+ * { key, format, bytes, lastUsed } records so eviction and stats never read
+ * the arrays themselves. Records whose format isn't TILE_CACHE_FORMAT are
+ * misses (and get replaced); bump it when the decoded layout changes.
+ */
 
 const DB_NAME = 'powder-map-terrain';
-const DB_VERSION = 1;
-const STORE_NAME = 'terrain';
+const DB_VERSION = 2;           // v1 held one whole-area grid per record
+const TILE_STORE = 'tiles';
+const META_STORE = 'tileMeta';
+
+export const TILE_CACHE_FORMAT = 1;
+
+let dbPromise = null;
 
 /**
- * Build a cache key from the current bounding box and zoom config.
+ * Build a cache key for a tile.
  */
-function cacheKey() {
-  return `${BOUNDS.sw.lat},${BOUNDS.sw.lon},${BOUNDS.ne.lat},${BOUNDS.ne.lon}@z${TERRAIN_ZOOM}`;
+export function tileCacheKey(zoom, x, y) {
+  return `${zoom}/${x}/${y}`;
 }
 
 /**
- * Open (or create) the IndexedDB database.
+ * Open (or create/upgrade) the IndexedDB database. The connection is shared
+ * and dropped if another tab upgrades the schema.
  */
 function openDB() {
-  return new Promise((resolve, reject) => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VERSION);
     req.onupgradeneeded = () => {
       const db = req.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME);
+      // Whole-area records from v1 can't be reused tile by tile
+      if (db.objectStoreNames.contains('terrain')) {
+        db.deleteObjectStore('terrain');
+      }
+      if (!db.objectStoreNames.contains(TILE_STORE)) {
+        db.createObjectStore(TILE_STORE);
+      }
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: 'key' }).createIndex('lastUsed', 'lastUsed');
       }
     };
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
   });
+  return dbPromise;
 }
 
-/**
- * Save decoded terrain data to IndexedDB.
- * @param {Object} data - { elevations: Float32Array, aspectGrid: Float32Array, width, height, metadata }
- */
-export async function saveTerrainToCache(data) {
-  const db = await openDB();
+function transactionDone(tx) {
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
-    // Store as a plain object; Float32Arrays are structured-cloneable
-    store.put({
-      elevations: data.elevations,
-      aspectGrid: data.aspectGrid,
-      width: data.width,
-      height: data.height,
-      metadata: data.metadata || {},
-      timestamp: Date.now()
-    }, cacheKey());
-    tx.oncomplete = () => { db.close(); resolve(); };
-    tx.onerror = () => { db.close(); reject(tx.error); };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
   });
 }
 
 /**
- * Load cached terrain data from IndexedDB.
- * Returns the cached object or null if not found.
+ * Load a cached tile and mark it recently used.
+ * Returns { elevations: Float32Array, size } or null if missing or stale.
  */
-export async function loadTerrainFromCache() {
+export async function loadCachedTile(zoom, x, y) {
+  const key = tileCacheKey(zoom, x, y);
   try {
     const db = await openDB();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, 'readonly');
-      const store = tx.objectStore(STORE_NAME);
-      const req = store.get(cacheKey());
-      req.onsuccess = () => { db.close(); resolve(req.result || null); };
-      req.onerror = () => { db.close(); reject(req.error); };
-    });
+    const tx = db.transaction([TILE_STORE, META_STORE], 'readwrite');
+    const req = tx.objectStore(TILE_STORE).get(key);
+    let tile = null;
+
+    req.onsuccess = () => {
+      const record = req.result;
+      if (!record || record.format !== TILE_CACHE_FORMAT) return;
+      tile = { elevations: record.elevations, size: record.size };
+      tx.objectStore(META_STORE).put({
+        key,
+        format: record.format,
+        bytes: record.elevations.byteLength,
+        lastUsed: Date.now()
+      });
+    };
+
+    await transactionDone(tx);
+    return tile;
   } catch {
     // IndexedDB unavailable (e.g. private browsing in some browsers)
     return null;
   }
 }
+
+/**
+ * Save a decoded tile. If the browser refuses for lack of space, evict the
+ * older half of the cache (sparing the tiles in `keep`) and try once more.
+ * @param {Object} tile - { elevations: Float32Array, size }
+ * @param {Set<string>} [keep] - Tile keys not to evict (see evictTiles)
+ */
+export async function saveCachedTile(zoom, x, y, tile, keep = new Set()) {
+  try {
+    await putTile(zoom, x, y, tile);
+  } catch (err) {
+    if (err?.name !== 'QuotaExceededError') throw err;
+    const { bytes } = await getTileCacheStats();
+    await evictTiles(bytes / 2, keep);
+    await putTile(zoom, x, y, tile);
+  }
+}
+
+async function putTile(zoom, x, y, tile) {
+  const key = tileCacheKey(zoom, x, y);
+  const db = await openDB();
+  const tx = db.transaction([TILE_STORE, META_STORE], 'readwrite');
+  tx.objectStore(TILE_STORE).put({
+    format: TILE_CACHE_FORMAT,
+    elevations: tile.elevations,
+    size: tile.size
+  }, key);
+  tx.objectStore(META_STORE).put({
+    key,
+    format: TILE_CACHE_FORMAT,
+    bytes: tile.elevations.byteLength,
+    lastUsed: Date.now()
+  });
+  return transactionDone(tx);
+}
+
+/**
+ * Bytes the cache may use: TILE_CACHE_MAX_MB, or less if the browser's
+ * storage quota is tight.
+ */
+export async function tileCacheBudget() {
+  const max = TILE_CACHE_MAX_MB * 1024 * 1024;
+  try {
+    const { quota } = await navigator.storage.estimate();
+    return quota ? Math.min(max, quota * TILE_CACHE_QUOTA_SHARE) : max;
+  } catch {
+    return max;
+  }
+}
+
+/**
+ * Delete least-recently-used tiles until the cache fits in `budget` bytes
+ * (default: tileCacheBudget()). Tiles keyed in `keep` (the area on screen)
+ * are never evicted, even if they alone exceed the budget.
+ * Returns the number of tiles evicted.
+ */
+export async function evictTiles(budget = null, keep = new Set()) {
+  budget ??= await tileCacheBudget();
+  const db = await openDB();
+  const tx = db.transaction([TILE_STORE, META_STORE], 'readwrite');
+  const meta = tx.objectStore(META_STORE);
+  const tiles = tx.objectStore(TILE_STORE);
+  let evicted = 0;
+
+  const all = await new Promise((resolve, reject) => {
+    const req = meta.index('lastUsed').getAll();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  let total = all.reduce((sum, m) => sum + m.bytes, 0);
+  // Oldest first; tiles from an older format go regardless
+  for (const m of all) {
+    if (keep.has(m.key) && m.format === TILE_CACHE_FORMAT) continue;
+    if (total <= budget && m.format === TILE_CACHE_FORMAT) continue;
+    tiles.delete(m.key);
+    meta.delete(m.key);
+    total -= m.bytes;
+    evicted++;
+  }
+
+  await transactionDone(tx);
+  if (evicted > 0) console.log(`Terrain cache: evicted ${evicted} tiles`);
+  return evicted;
+}
+
+/**
+ * Cache size for the UI.
+ * Returns { tiles, bytes, budget, oldest } (oldest = lastUsed ms or null).
+ */
+export async function getTileCacheStats() {
+  const budget = await tileCacheBudget();
+  try {
+    const db = await openDB();
+    const tx = db.transaction(META_STORE, 'readonly');
+    const req = tx.objectStore(META_STORE).getAll();
+    await transactionDone(tx);
+    const all = req.result.filter(m => m.format === TILE_CACHE_FORMAT);
+    return {
+      tiles: all.length,
+      bytes: all.reduce((sum, m) => sum + m.bytes, 0),
+      budget,
+      oldest: all.length ? Math.min(...all.map(m => m.lastUsed)) : null
+    };
+  } catch {
+    return { tiles: 0, bytes: 0, budget, oldest: null };
+  }
+}
+
+/**
+ * Delete every cached tile.
+ */
+export async function clearTileCache() {
+  const db = await openDB();
+  const tx = db.transaction([TILE_STORE, META_STORE], 'readwrite');
+  tx.objectStore(TILE_STORE).clear();
+  tx.objectStore(META_STORE).clear();
+  await transactionDone(tx);
+  console.log('Terrain cache cleared');
+}
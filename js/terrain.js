@@ -1,5 +1,4 @@
-import { BOUNDS, TERRAIN_ZOOM, MAPBOX_TOKEN } from './config.js';
-import { saveTerrainToCache, loadTerrainFromCache } from './terrain-cache.js';
+import { loadCachedTile, saveCachedTile, evictTiles, tileCacheKey } from './terrain-cache.js';
 
 /**
  * Convert lon/lat to slippy-map tile coordinates at the given zoom.
@@ -37,12 +36,34 @@ export function getCellSize(zoom, lat) {
 }
 
 /**
- * Fetch a single Terrain-RGB tile from Mapbox and decode it into a 256x256
+ * Mapbox Terrain-RGB @2x tile URL.
+ */
+export function terrainTileUrl(x, y, zoom, token) {
+  return `https://api.mapbox.com/v4/mapbox.terrain-rgb/${zoom}/${x}/${y}@2x.pngraw?access_token=${token}`;
+}
+
+/**
+ * Decode square RGBA Terrain-RGB pixels into a Float32Array of elevations (m).
+ */
+export function decodeTerrainRGB(pixels, size) {
+  const elevations = new Float32Array(size * size);
+
+  for (let i = 0; i < size * size; i++) {
+    const r = pixels[i * 4];
+    const g = pixels[i * 4 + 1];
+    const b = pixels[i * 4 + 2];
+    elevations[i] = -10000 + (r * 256 * 256 + g * 256 + b) * 0.1;
+  }
+
+  return elevations;
+}
+
+/**
+ * Fetch a single Terrain-RGB tile from Mapbox and decode it into a 512x512
  * Float32Array of elevations.
  */
 async function fetchTerrainTile(x, y, zoom, token) {
-  const url = `https://api.mapbox.com/v4/mapbox.terrain-rgb/${zoom}/${x}/${y}@2x.pngraw?access_token=${token}`;
-  const res = await fetch(url);
+  const res = await fetch(terrainTileUrl(x, y, zoom, token));
   if (!res.ok) throw new Error(`Tile fetch failed: ${zoom}/${x}/${y} (${res.status})`);
 
   const blob = await res.blob();
@@ -52,62 +73,101 @@ async function fetchTerrainTile(x, y, zoom, token) {
   const ctx = canvas.getContext('2d');
   ctx.drawImage(bitmap, 0, 0);
   const imageData = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
-  const pixels = imageData.data;
 
   const size = bitmap.width; // 512 for @2x tiles
-  const elevations = new Float32Array(size * size);
+  return { elevations: decodeTerrainRGB(imageData.data, size), size };
+}
 
-  for (let i = 0; i < size * size; i++) {
-    const r = pixels[i * 4];
-    const g = pixels[i * 4 + 1];
-    const b = pixels[i * 4 + 2];
-    elevations[i] = -10000 + (r * 256 * 256 + g * 256 + b) * 0.1;
-  }
+/**
+ * Tile index range covering a bounding box at the given zoom.
+ */
+export function getTileRange(bounds, zoom) {
+  const swTile = lonLatToTile(bounds.sw.lon, bounds.sw.lat, zoom);
+  const neTile = lonLatToTile(bounds.ne.lon, bounds.ne.lat, zoom);
+
+  const minTx = Math.min(swTile.x, neTile.x);
+  const maxTx = Math.max(swTile.x, neTile.x);
+  const minTy = Math.min(swTile.y, neTile.y);
+  const maxTy = Math.max(swTile.y, neTile.y);
+
+  return {
+    minTx, maxTx, minTy, maxTy,
+    cols: maxTx - minTx + 1,
+    rows: maxTy - minTy + 1
+  };
+}
 
-  return { elevations, size };
+/**
+ * Effective meters per pixel of the stitched @2x grid.
+ */
+function effectiveCellSize(bounds, zoom) {
+  const midLat = (bounds.sw.lat + bounds.ne.lat) / 2;
+  // @2x tiles double the resolution
+  return getCellSize(zoom, midLat) / 2;
 }
 
 /**
  * Fetch all terrain tiles covering the bounding box, stitch them into a
- * single elevation grid, and compute the aspect grid.
+ * single elevation grid, and compute the aspect and slope grids.
  *
- * Uses IndexedDB cache to avoid redundant Mapbox tile fetches.
+ * Decoded tiles are cached in IndexedDB by z/x/y (terrain-cache.js), so only
+ * tiles not seen before are fetched from Mapbox.
  *
- * Returns { elevations, aspectGrid, width, height, bounds }
+ * Returns { elevations, aspectGrid, slopeGrid, width, height, cellSize, bounds, metadata }
  */
 export async function fetchTerrainGrid(bounds, zoom, token) {
-  // Check cache first
-  const cached = await loadTerrainFromCache();
-  if (cached) {
-    console.log('Terrain loaded from cache');
-    return {
-      elevations: cached.elevations,
-      aspectGrid: cached.aspectGrid,
-      width: cached.width,
-      height: cached.height,
-      bounds
-    };
-  }
+  let cachedCount = 0;
+  let fetchedCount = 0;
+  const areaKeys = new Set();
+
+  const terrain = await buildTerrainGrid(bounds, zoom, async (tx, ty) => {
+    areaKeys.add(tileCacheKey(zoom, tx, ty));
+    const cached = await loadCachedTile(zoom, tx, ty);
+    if (cached) {
+      cachedCount++;
+      return cached;
+    }
 
-  console.log('Fetching terrain tiles from Mapbox…');
+    const tile = await fetchTerrainTile(tx, ty, zoom, token);
+    fetchedCount++;
+    try {
+      await saveCachedTile(zoom, tx, ty, tile, areaKeys);
+    } catch (e) {
+      console.warn('Failed to cache terrain tile:', e);
+    }
+    return tile;
+  });
 
-  const swTile = lonLatToTile(bounds.sw.lon, bounds.sw.lat, zoom);
-  const neTile = lonLatToTile(bounds.ne.lon, bounds.ne.lat, zoom);
+  console.log(`Terrain tiles: ${cachedCount} from cache, ${fetchedCount} from Mapbox`);
 
-  const minTx = Math.min(swTile.x, neTile.x);
-  const maxTx = Math.max(swTile.x, neTile.x);
-  const minTy = Math.min(swTile.y, neTile.y);
-  const maxTy = Math.max(swTile.y, neTile.y);
+  // New tiles may have pushed the cache over budget; this area's stay
+  if (fetchedCount > 0) {
+    try {
+      await evictTiles(null, areaKeys);
+    } catch (e) {
+      console.warn('Terrain cache eviction failed:', e);
+    }
+  }
+
+  return terrain;
+}
 
-  const cols = maxTx - minTx + 1;
-  const rows = maxTy - minTy + 1;
+/**
+ * Fetch every tile covering the bounding box with `fetchTile(tx, ty)` (which
+ * resolves to { elevations, size }), stitch them into a single elevation grid,
+ * and compute the aspect and slope grids. No caching — see fetchTerrainGrid.
+ *
+ * Returns { elevations, aspectGrid, slopeGrid, width, height, cellSize, bounds, metadata }
+ */
+export async function buildTerrainGrid(bounds, zoom, fetchTile) {
+  const { minTx, maxTx, minTy, maxTy, cols, rows } = getTileRange(bounds, zoom);
 
   // Fetch all tiles in parallel
   const tilePromises = [];
   for (let ty = minTy; ty <= maxTy; ty++) {
     for (let tx = minTx; tx <= maxTx; tx++) {
       tilePromises.push(
-        fetchTerrainTile(tx, ty, zoom, token).then(result => ({
+        fetchTile(tx, ty).then(result => ({
           tx, ty, ...result
         }))
       );
@@ -139,46 +199,36 @@ export async function fetchTerrainGrid(bounds, zoom, token) {
   }
 
   // Compute cell size in meters
-  const midLat = (bounds.sw.lat + bounds.ne.lat) / 2;
-  const cellSize = getCellSize(zoom, midLat);
-  // @2x tiles double the resolution
-  const effectiveCellSize = cellSize / 2;
+  const cellSize = effectiveCellSize(bounds, zoom);
 
-  // Compute aspect grid
-  const aspectGrid = computeAspectGrid(elevations, width, height, effectiveCellSize);
+  // Compute aspect and slope grids
+  const { aspectGrid, slopeGrid } = computeSlopeAspectGrids(elevations, width, height, cellSize);
 
   console.log(`Terrain stitched: ${width}x${height} pixels, ${cols}x${rows} tiles`);
 
-  // Save to cache
-  try {
-    await saveTerrainToCache({
-      elevations,
-      aspectGrid,
-      width,
-      height,
-      metadata: { zoom, cellSize: effectiveCellSize, cols, rows, tileSize }
-    });
-    console.log('Terrain cached to IndexedDB');
-  } catch (e) {
-    console.warn('Failed to cache terrain:', e);
-  }
-
-  return { elevations, aspectGrid, width, height, bounds };
+  return {
+    elevations, aspectGrid, slopeGrid, width, height, cellSize, bounds,
+    metadata: { zoom, cellSize, cols, rows, tileSize }
+  };
 }
 
 /**
- * Compute aspect (slope direction in degrees, 0=N, 90=E, 180=S, 270=W) for
- * every pixel in the elevation grid using Horn's 3x3 method.
+ * Compute aspect (slope direction in degrees, 0=N, 90=E, 180=S, 270=W) and
+ * slope angle (degrees from horizontal) for every pixel in the elevation grid
+ * using Horn's 3x3 method.
  *
- * Returns Float32Array where NaN means flat/undefined aspect.
+ * Returns { aspectGrid, slopeGrid } as Float32Arrays. Aspect is NaN for flat
+ * or edge pixels; slope is 0 for flat pixels and NaN for edge pixels.
  */
-export function computeAspectGrid(elevations, width, height, cellSize) {
+export function computeSlopeAspectGrids(elevations, width, height, cellSize) {
   const aspect = new Float32Array(width * height);
+  const slope = new Float32Array(width * height);
 
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
       if (x === 0 || x === width - 1 || y === 0 || y === height - 1) {
         aspect[y * width + x] = NaN; // edge pixels
+        slope[y * width + x] = NaN;
         continue;
       }
 
@@ -198,6 +248,9 @@ export function computeAspectGrid(elevations, width, height, cellSize) {
       const dzdx = ((c + 2 * f + ii) - (a + 2 * d + g)) / (8 * cellSize);
       const dzdy = ((g + 2 * h + ii) - (a + 2 * b + c)) / (8 * cellSize);
 
+      // Slope angle from the gradient magnitude
+      slope[y * width + x] = Math.atan(Math.sqrt(dzdx * dzdx + dzdy * dzdy)) * 180 / Math.PI;
+
       if (dzdx === 0 && dzdy === 0) {
         aspect[y * width + x] = NaN; // flat
         continue;
@@ -210,20 +263,23 @@ export function computeAspectGrid(elevations, width, height, cellSize) {
     }
   }
 
-  return aspect;
+  return { aspectGrid: aspect, slopeGrid: slope };
+}
+
+/**
+ * Compute aspect only. See computeSlopeAspectGrids.
+ *
+ * Returns Float32Array where NaN means flat/undefined aspect.
+ */
+export function computeAspectGrid(elevations, width, height, cellSize) {
+  return computeSlopeAspectGrids(elevations, width, height, cellSize).aspectGrid;
 }
 
 /**
  * Get the geographic bounds of the stitched grid (from tile boundaries, not the config bounds).
  */
 export function getGridBounds(bounds, zoom) {
-  const swTile = lonLatToTile(bounds.sw.lon, bounds.sw.lat, zoom);
-  const neTile = lonLatToTile(bounds.ne.lon, bounds.ne.lat, zoom);
-
-  const minTx = Math.min(swTile.x, neTile.x);
-  const maxTx = Math.max(swTile.x, neTile.x);
-  const minTy = Math.min(swTile.y, neTile.y);
-  const maxTy = Math.max(swTile.y, neTile.y);
+  const { minTx, maxTx, minTy, maxTy } = getTileRange(bounds, zoom);
 
   const topLeft = tileToBounds(minTx, minTy, zoom);
   const bottomRight = tileToBounds(maxTx, maxTy, zoom);
@@ -235,3 +291,50 @@ export function getGridBounds(bounds, zoom) {
     west: topLeft.lonMin
   };
 }
+
+/**
+ * Fractional grid coordinates (pixels from the top-left corner) of a lon/lat
+ * in the stitched grid (see getGridBounds). Tiles are Web Mercator, so rows
+ * are linear in Mercator y.
+ *
+ * Returns [x, y].
+ */
+export function lonLatToGridCoords(lon, lat, gridBounds, width, height) {
+  const mercatorY = deg => Math.log(Math.tan(Math.PI / 4 + deg * Math.PI / 360));
+  const top = mercatorY(gridBounds.north);
+
+  return [
+    (lon - gridBounds.west) / (gridBounds.east - gridBounds.west) * width,
+    (top - mercatorY(lat)) / (top - mercatorY(gridBounds.south)) * height
+  ];
+}
+
+/**
+ * Inverse of lonLatToGridCoords: lon/lat of a fractional grid position.
+ *
+ * Returns [lon, lat].
+ */
+export function gridCoordsToLonLat(x, y, gridBounds, width, height) {
+  const mercatorY = deg => Math.log(Math.tan(Math.PI / 4 + deg * Math.PI / 360));
+  const top = mercatorY(gridBounds.north);
+  const my = top - y / height * (top - mercatorY(gridBounds.south));
+
+  return [
+    gridBounds.west + x / width * (gridBounds.east - gridBounds.west),
+    (2 * Math.atan(Math.exp(my)) - Math.PI / 2) * 180 / Math.PI
+  ];
+}
+
+/**
+ * Pixel of the stitched grid under a lon/lat, or null if outside it.
+ *
+ * Returns { x, y, index }.
+ */
+export function lonLatToGridPixel(lon, lat, gridBounds, width, height) {
+  const [gx, gy] = lonLatToGridCoords(lon, lat, gridBounds, width, height);
+  const x = Math.floor(gx);
+  const y = Math.floor(gy);
+
+  if (x < 0 || x >= width || y < 0 || y >= height) return null;
+  return { x, y, index: y * width + x };
+}
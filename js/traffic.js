@@ -0,0 +1,323 @@
+import { lonLatToGridCoords } from './terrain.js';
+import { strokeLine } from './runs.js';
+import { hourlyTimeToEpoch } from './weather.js';
+
+/**
+ * Skier traffic: how much of the new snow is likely tracked out.
+ *
+ * Input is a GeoJSON FeatureCollection of lifts and groomed runs, bundled
+ * with an area profile (profile.lifts) or uploaded in the panel. Lifts are
+ * lines (properties.kind 'lift', or OSM aerialway=*); the higher end is the
+ * top station. Groomers are lines (kind 'groomer', or OSM piste:grooming).
+ *
+ * Every terrain block gets a travel time from the nearest lift top or
+ * groomer, skiing down or skinning up; the tracked share then grows with the
+ * hours the lifts have run since the storm, fastest right next to them.
+ */
+
+// Grid pixels per side of a travel-time block (keeps the search small)
+const ACCESS_BLOCK_SIZE = 4;
+
+// Travel speeds: skiing downhill, traversing flat ground, and climbing (m/min)
+const SKI_SPEED_M_PER_MIN = 150;
+const TRAVERSE_SPEED_M_PER_MIN = 50;
+const CLIMB_RATE_M_PER_MIN = 6;
+
+// Groomer half-width (m) for placing it on the grid
+const GROOMER_HALF_WIDTH_M = 15;
+
+// Tracking rate (share per lift hour, as an exponential rate) right at a
+// lift or groomer, and the travel time (min) over which it falls off by e
+const TRACK_RATE_PER_HOUR = 0.8;
+const TRACK_ACCESS_SCALE_MIN = 8;
+
+const GROOMING_VALUES = ['classic', 'skating', 'classic+skating', 'classic;skating'];
+
+// ── Loading ─────────────────────────────────────────────────────────
+
+/**
+ * Fetch and parse a bundled lifts file.
+ */
+export async function fetchLifts(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Lifts file returned ${res.status}`);
+  return parseLifts(await res.json());
+}
+
+/**
+ * Split a GeoJSON FeatureCollection into lifts and groomers, as lists of
+ * polylines ([[lon, lat], ...]). Everything else is ignored.
+ * Returns { lifts: [{ name, line }], groomers: [{ name, line }] }.
+ */
+export function parseLifts(geojson) {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new Error('Lifts file is not a GeoJSON FeatureCollection');
+  }
+
+  const lifts = [];
+  const groomers = [];
+
+  for (const feature of geojson.features) {
+    const props = feature.properties || {};
+    const geometry = feature.geometry;
+    if (!geometry) continue;
+
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+      : geometry.type === 'MultiLineString' ? geometry.coordinates
+      : [];
+    const name = props.name || props.Name || props.ref || '';
+
+    if (props.kind === 'lift' || (props.aerialway && props.aerialway !== 'station')) {
+      for (const line of lines) if (line.length >= 2) lifts.push({ name, line });
+    } else if (props.kind === 'groomer' || GROOMING_VALUES.includes(props['piste:grooming'])) {
+      for (const line of lines) if (line.length >= 2) groomers.push({ name, line });
+    }
+  }
+
+  if (lifts.length === 0 && groomers.length === 0) {
+    throw new Error('Lifts file has no lifts or groomed runs');
+  }
+  return { lifts, groomers };
+}
+
+// ── Access ──────────────────────────────────────────────────────────
+
+/**
+ * Travel time (minutes) from the nearest lift top or groomer to every
+ * ACCESS_BLOCK_SIZE² block of the terrain grid: Dijkstra over the blocks,
+ * eight neighbours, moves costed by skiing, traversing or climbing.
+ *
+ * @param {Object} terrain - From fetchTerrainGrid/buildTerrainGrid
+ * @param {Object} lifts - From parseLifts
+ * @param {Object} gridBounds - { north, south, east, west } of the grid
+ * @returns {Object|null} { minutes: Float32Array, block, bw, bh, sources },
+ *   or null if no lift or groomer is inside the grid
+ */
+export function computeAccessGrid(terrain, lifts, gridBounds) {
+  const { width, height, cellSize, elevations } = terrain;
+  const block = ACCESS_BLOCK_SIZE;
+  const bw = Math.ceil(width / block);
+  const bh = Math.ceil(height / block);
+  const blockElev = blockMeans(elevations, width, height, block, bw, bh);
+  const toGrid = ([lon, lat]) => lonLatToGridCoords(lon, lat, gridBounds, width, height);
+
+  // Sources: each lift's top station, every pixel along a groomer
+  const sourcePixels = [];
+  for (const { line } of lifts.lifts) {
+    const ends = [line[0], line[line.length - 1]].map(toGrid)
+      .filter(([x, y]) => x >= 0 && x < width && y >= 0 && y < height);
+    if (ends.length === 0) continue;
+    const elev = ([x, y]) => elevations[Math.floor(y) * width + Math.floor(x)];
+    const [x, y] = ends.reduce((top, p) => (elev(p) > elev(top) ? p : top));
+    sourcePixels.push(Math.floor(y) * width + Math.floor(x));
+  }
+  for (const { line } of lifts.groomers) {
+    strokeLine(line.map(toGrid), GROOMER_HALF_WIDTH_M / cellSize, width, height, sourcePixels);
+  }
+  if (sourcePixels.length === 0) return null;
+
+  const minutes = new Float32Array(bw * bh).fill(Infinity);
+  const heap = new MinHeap(bw * bh);
+  for (const p of sourcePixels) {
+    const b = Math.floor(Math.floor(p / width) / block) * bw + Math.floor((p % width) / block);
+    if (minutes[b] !== 0) {
+      minutes[b] = 0;
+      heap.push(b, 0);
+    }
+  }
+
+  const step = block * cellSize;
+  const moves = [
+    [-1, 0, step], [1, 0, step], [0, -1, step], [0, 1, step],
+    [-1, -1, step * Math.SQRT2], [1, -1, step * Math.SQRT2],
+    [-1, 1, step * Math.SQRT2], [1, 1, step * Math.SQRT2]
+  ];
+
+  while (heap.size > 0) {
+    const [b, t] = heap.pop();
+    if (t > minutes[b]) continue;
+    const bx = b % bw;
+    const by = (b - bx) / bw;
+
+    for (const [dx, dy, dist] of moves) {
+      const nx = bx + dx;
+      const ny = by + dy;
+      if (nx < 0 || nx >= bw || ny < 0 || ny >= bh) continue;
+      const n = ny * bw + nx;
+      const climb = blockElev[n] - blockElev[b];
+      const cost = climb > 0
+        ? dist / TRAVERSE_SPEED_M_PER_MIN + climb / CLIMB_RATE_M_PER_MIN
+        : dist / SKI_SPEED_M_PER_MIN;
+      const nt = t + cost;
+      if (nt < minutes[n]) {
+        minutes[n] = nt;
+        heap.push(n, nt);
+      }
+    }
+  }
+
+  return { minutes, block, bw, bh, sources: sourcePixels.length };
+}
+
+/**
+ * Travel time (minutes) to one grid pixel.
+ */
+export function pixelAccessMinutes(access, index, width) {
+  const x = index % width;
+  const y = (index - x) / width;
+  return access.minutes[Math.floor(y / access.block) * access.bw + Math.floor(x / access.block)];
+}
+
+/**
+ * Share of new snow tracked out per terrain pixel, [0, 1], after the lifts
+ * have run `hoursOpen` hours since the storm. Null when nothing is tracked.
+ *
+ * tracked = 1 - exp(-hoursOpen × TRACK_RATE_PER_HOUR × exp(-minutes / TRACK_ACCESS_SCALE_MIN))
+ */
+export function computeTrackedGrid(terrain, access, hoursOpen) {
+  if (!access || !(hoursOpen > 0)) return null;
+
+  const { width, height } = terrain;
+  const { minutes, block, bw, bh } = access;
+
+  // One value per block, then spread to its pixels
+  const perBlock = new Float32Array(bw * bh);
+  for (let b = 0; b < perBlock.length; b++) {
+    const rate = TRACK_RATE_PER_HOUR * Math.exp(-minutes[b] / TRACK_ACCESS_SCALE_MIN);
+    perBlock[b] = 1 - Math.exp(-hoursOpen * rate);
+  }
+
+  const grid = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / block) * bw;
+    for (let x = 0; x < width; x++) {
+      grid[y * width + x] = perBlock[row + Math.floor(x / block)];
+    }
+  }
+  return grid;
+}
+
+// ── Lift hours ──────────────────────────────────────────────────────
+
+/**
+ * Hours the lifts run between two moments, in the area's local time.
+ *
+ * @param {number} fromMs - Start (e.g. when the storm ended), epoch ms
+ * @param {number} toMs - End (the chosen time of day), epoch ms
+ * @param {number} utcOffsetSeconds - Area's offset from UTC
+ * @param {Object} liftHours - { open, close } in local hours (e.g. 9, 16)
+ */
+export function liftHoursOpen(fromMs, toMs, utcOffsetSeconds, liftHours) {
+  if (!(toMs > fromMs)) return 0;
+
+  const HOUR = 3600000;
+  const offset = utcOffsetSeconds * 1000;
+  const dayStart = Math.floor((fromMs + offset) / (24 * HOUR)) * 24 * HOUR - offset;
+  let total = 0;
+
+  for (let day = dayStart; day < toMs; day += 24 * HOUR) {
+    const open = Math.max(day + liftHours.open * HOUR, fromMs);
+    const close = Math.min(day + liftHours.close * HOUR, toMs);
+    if (close > open) total += (close - open) / HOUR;
+  }
+  return total;
+}
+
+/**
+ * Lift hours since the storm for a summarized weather period, up to a time of
+ * day (local hours, e.g. 13 for 1pm) on the period's last day. Counts from
+ * the end of the last precipitation, which may be up to STORM_LOOKBACK_DAYS
+ * before the period (see computeSolarExposure), or from the start of the
+ * period if it didn't snow in that time.
+ *
+ * @param {Object} weather - From summarizeWeather
+ * @param {number} hourOfDay - Local hour, fractional
+ * @param {Object} liftHours - { open, close } in local hours
+ */
+export function periodLiftHours(weather, hourOfDay, liftHours) {
+  const times = weather.hourly && weather.hourly.time;
+  if (!times || times.length === 0) return 0;
+
+  const offset = weather.utcOffsetSeconds;
+  const HOUR = 3600000;
+  const periodStart = hourlyTimeToEpoch(times[0], offset) - HOUR;
+  const periodEnd = hourlyTimeToEpoch(times[times.length - 1], offset);
+  const from = weather.solar && weather.solar.stormEnd != null ? weather.solar.stormEnd : periodStart;
+
+  // The chosen time of day on the period's last local day
+  const localDay = Math.floor((periodEnd + offset * 1000) / (24 * HOUR)) * 24 * HOUR - offset * 1000;
+  return liftHoursOpen(from, localDay + hourOfDay * HOUR, offset, liftHours);
+}
+
+// ── Priority queue ──────────────────────────────────────────────────
+
+/**
+ * Binary min-heap of (node, key) pairs; nodes may be pushed more than once
+ * (stale entries are skipped by the caller).
+ */
+class MinHeap {
+  constructor(capacity) {
+    this.nodes = new Int32Array(capacity);
+    this.keys = new Float64Array(capacity);
+    this.size = 0;
+  }
+
+  push(node, key) {
+    if (this.size === this.nodes.length) this.grow();
+    let i = this.size++;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.keys[parent] <= key) break;
+      this.nodes[i] = this.nodes[parent];
+      this.keys[i] = this.keys[parent];
+      i = parent;
+    }
+    this.nodes[i] = node;
+    this.keys[i] = key;
+  }
+
+  pop() {
+    const top = [this.nodes[0], this.keys[0]];
+    const node = this.nodes[--this.size];
+    const key = this.keys[this.size];
+    let i = 0;
+    for (;;) {
+      let child = 2 * i + 1;
+      if (child >= this.size) break;
+      if (child + 1 < this.size && this.keys[child + 1] < this.keys[child]) child++;
+      if (this.keys[child] >= key) break;
+      this.nodes[i] = this.nodes[child];
+      this.keys[i] = this.keys[child];
+      i = child;
+    }
+    this.nodes[i] = node;
+    this.keys[i] = key;
+    return top;
+  }
+
+  grow() {
+    const nodes = new Int32Array(this.nodes.length * 2);
+    const keys = new Float64Array(this.keys.length * 2);
+    nodes.set(this.nodes);
+    keys.set(this.keys);
+    this.nodes = nodes;
+    this.keys = keys;
+  }
+}
+
+function blockMeans(values, width, height, block, bw, bh) {
+  const sums = new Float64Array(bw * bh);
+  const counts = new Uint32Array(bw * bh);
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / block) * bw;
+    for (let x = 0; x < width; x++) {
+      const v = values[y * width + x];
+      if (isNaN(v)) continue;
+      sums[row + Math.floor(x / block)] += v;
+      counts[row + Math.floor(x / block)]++;
+    }
+  }
+  const means = new Float32Array(bw * bh);
+  for (let b = 0; b < means.length; b++) means[b] = counts[b] ? sums[b] / counts[b] : 0;
+  return means;
+}
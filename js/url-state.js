@@ -0,0 +1,123 @@
+import { MODEL_DEFAULTS } from './config.js';
+import { MODEL_PARAMS } from './model.js';
+
+/**
+ * Shareable map state in the URL query string, so a link opens the same map:
+ *
+ *   ?area=cottonwoods&hours=24&mode=forecast&map=40.5912,-111.6384,13.4
+ *   &ramp=viridis&min=0.5&opacity=0.8&crust=1&hour=13&snow=10&shelter=0.3
+ *
+ * mode is omitted for the recent window; replay adds from/to dates and drops
+ * hours. map is lat,lon,zoom with bearing,pitch appended when the map is
+ * rotated or tilted. Model parameters (MODEL_PARAMS' `param` keys) are only
+ * written when they differ from MODEL_DEFAULTS.
+ */
+
+const WINDOW_HOURS = [12, 24, 48];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse the query string. Anything missing or malformed is left out (null,
+ * or absent from model/style) so the caller's defaults apply.
+ *
+ * Returns { mode, hours, range: { start, end } | null,
+ *   view: { lat, lon, zoom, bearing, pitch } | null,
+ *   style: { ramp?, threshold?, opacity? }, crust, hour, model: { [key]: number } }
+ */
+export function readUrlState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const number = key => {
+    const value = params.get(key);
+    return value !== null && value !== '' && isFinite(value) ? Number(value) : null;
+  };
+
+  const state = {
+    mode: null,
+    hours: WINDOW_HOURS.includes(number('hours')) ? number('hours') : null,
+    range: null,
+    view: parseView(params.get('map')),
+    style: {},
+    crust: params.has('crust') ? params.get('crust') === '1' : null,
+    hour: number('hour'),
+    model: {}
+  };
+
+  const mode = params.get('mode');
+  const start = params.get('from');
+  const end = params.get('to');
+  if (mode === 'forecast') {
+    state.mode = 'forecast';
+  } else if (mode === 'replay' && DATE_RE.test(start) && DATE_RE.test(end)) {
+    state.mode = 'replay';
+    state.range = { start, end };
+  }
+
+  if (params.has('ramp')) state.style.ramp = params.get('ramp');
+  if (number('min') !== null) state.style.threshold = number('min');
+  if (number('opacity') !== null) state.style.opacity = number('opacity');
+
+  for (const { key, param } of MODEL_PARAMS) {
+    if (number(param) !== null) state.model[key] = number(param);
+  }
+  return state;
+}
+
+/**
+ * Query string for a map state (the shape readUrlState returns, plus area).
+ */
+export function urlStateSearch(state) {
+  const params = new URLSearchParams();
+  params.set('area', state.area);
+
+  if (state.mode === 'replay') {
+    params.set('mode', 'replay');
+    params.set('from', state.range.start);
+    params.set('to', state.range.end);
+  } else {
+    params.set('hours', state.hours);
+    if (state.mode === 'forecast') params.set('mode', 'forecast');
+  }
+
+  if (state.view) params.set('map', formatView(state.view));
+
+  const { ramp, threshold, opacity } = state.style;
+  params.set('ramp', ramp);
+  params.set('min', threshold);
+  params.set('opacity', opacity);
+  if (state.crust) params.set('crust', '1');
+  if (state.hour != null) params.set('hour', state.hour);
+
+  for (const { key, param } of MODEL_PARAMS) {
+    if (state.model[key] !== MODEL_DEFAULTS[key]) params.set(param, state.model[key]);
+  }
+
+  // Keep commas in map=lat,lon,zoom readable
+  return `?${params.toString().replace(/%2C/g, ',')}`;
+}
+
+/**
+ * Replace the current URL's query with a map state, without adding history.
+ */
+export function writeUrlState(state) {
+  const url = new URL(window.location.href);
+  url.search = urlStateSearch(state);
+  history.replaceState(null, '', url);
+}
+
+function parseView(value) {
+  if (!value) return null;
+  const parts = value.split(',').map(Number);
+  if (parts.length < 3 || parts.some(n => !isFinite(n))) return null;
+
+  const [lat, lon, zoom, bearing = 0, pitch = 0] = parts;
+  if (Math.abs(lat) > 85 || Math.abs(lon) > 180 || zoom < 0 || zoom > 22) return null;
+  return { lat, lon, zoom, bearing, pitch };
+}
+
+function formatView({ lat, lon, zoom, bearing, pitch }) {
+  const parts = [lat.toFixed(4), lon.toFixed(4), zoom.toFixed(2)];
+  if (Math.round(bearing) !== 0 || Math.round(pitch) !== 0) {
+    parts.push(Math.round(bearing), Math.round(pitch));
+  }
+  return parts.join(',');
+}
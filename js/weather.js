@@ -1,106 +1,445 @@
-import { SNOTEL_BASE_URL, SNOTEL_ELEMENTS, WIND_BASE_URL, SNOW_LIQUID_RATIO, RESORT_API_URL } from './config.js';
+import { SNOTEL_BASE_URL, SNOTEL_ELEMENTS, SNOTEL_MAX_HOURLY_IN, SNOTEL_RESET_IN, SNOTEL_GAP_WARN_HOURS, WIND_BASE_URL, WIND_ARCHIVE_BASE_URL, STORM_LOOKBACK_DAYS, SNOW_LIQUID_RATIO, API_BASE_URL } from './config.js';
+import { stormSnowRatio } from './density.js';
+import { formatInches } from './utils.js';
+
+// ── Data proxy ──────────────────────────────────────────────────────
+
+/**
+ * Fetch a route on the server.js data proxy, which caches and forwards to the
+ * upstream URLs built below. Throws a FetchError (see fetchError) with the
+ * proxy's normalized error message.
+ */
+async function fetchApi(route, params) {
+  let res;
+  try {
+    res = await fetch(`${API_BASE_URL}${route}?${new URLSearchParams(params)}`);
+  } catch (err) {
+    throw fetchError(`${route} proxy unreachable (${err.message})`);
+  }
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    throw fetchError(body?.error?.message || `${route} proxy returned ${res.status}`);
+  }
+  return res;
+}
+
+/**
+ * An error named FetchError: the data couldn't be fetched (no network, or
+ * the proxy gave up), as opposed to fetched data that couldn't be used.
+ * Only these fall back to a saved snapshot (snapshots.js).
+ */
+function fetchError(message) {
+  const err = new Error(message);
+  err.name = 'FetchError';
+  return err;
+}
 
 // ── SNOTEL (snowfall / precipitation) ───────────────────────────────
 
 /**
- * Build SNOTEL URL for a given number of lookback hours.
+ * Build upstream SNOTEL URL for an area's station and a given number of lookback hours.
+ * `site` is the area's own station unless one of its nearbySnotel is given.
  */
-function snotelUrl(hours) {
-  return `${SNOTEL_BASE_URL}-${hours},0/${SNOTEL_ELEMENTS}`;
+export function snotelUrl(area, hours, site = area.snotel) {
+  return `${SNOTEL_BASE_URL}${site.station}/-${hours},0/${SNOTEL_ELEMENTS}`;
+}
+
+/**
+ * Build upstream SNOTEL URL for a dated range of whole days (YYYY-MM-DD, inclusive).
+ */
+export function snotelRangeUrl(area, startDate, endDate, site = area.snotel) {
+  return `${SNOTEL_BASE_URL}${site.station}/${startDate},${endDate}/${SNOTEL_ELEMENTS}`;
 }
 
 /**
  * Fetch hourly SNOTEL data for the given lookback period and derive snowfall.
  *
+ * @param {Object} area - Area profile (see profiles.js)
  * @param {number} hours - Lookback period (12, 24, or 48)
- * Returns { totalSnowfall, totalPrecip, sweChange, baseDepth, tempF }
+ * @param {Object} [site] - Station to read (default: the area's own)
+ * Returns { source: 'snotel', totalSnowfall, totalPrecip, sweChange, depthChange, baseDepth,
+ *   tempF, stormTempF, snowRatio, snowDensity, stationElevFt, warnings }. Totals are
+ * null when the station has too few readings for them.
  */
-export async function fetchSnotelData(hours = 24) {
-  const res = await fetch(snotelUrl(hours));
-  if (!res.ok) throw new Error(`SNOTEL returned ${res.status}`);
-  const text = await res.text();
+export async function fetchSnotelData(area, hours = 24, site = area.snotel) {
+  return fetchSnotelReport(area, site, { area: area.id, hours, station: site.station });
+}
 
-  const rows = parseSnotelCsv(text);
-  if (rows.length < 2) throw new Error('Not enough SNOTEL data');
+/**
+ * Fetch hourly SNOTEL data for a past date range and derive snowfall.
+ * Same return shape as fetchSnotelData.
+ *
+ * @param {Object} area - Area profile (see profiles.js)
+ * @param {string} startDate - First day, YYYY-MM-DD
+ * @param {string} endDate - Last day (inclusive), YYYY-MM-DD
+ * @param {Object} [site] - Station to read (default: the area's own)
+ */
+export async function fetchSnotelRange(area, startDate, endDate, site = area.snotel) {
+  return fetchSnotelReport(area, site, { area: area.id, start: startDate, end: endDate, station: site.station });
+}
 
-  const first = rows[0];
-  const last = rows[rows.length - 1];
+/**
+ * Fetch a SNOTEL report through the proxy and reduce it to period totals.
+ */
+async function fetchSnotelReport(area, site, params) {
+  const res = await fetchApi('snotel', params);
+  return summarizeSnotel(area, await res.text(), site);
+}
 
-  // Precipitation accumulation is water-year cumulative; delta = new precip
-  const precFirst = first.prec;
-  const precLast = last.prec;
-  const totalPrecip = (precFirst != null && precLast != null)
-    ? Math.max(0, precLast - precFirst)
-    : 0;
+/**
+ * Reduce a SNOTEL Report Generator CSV to period totals.
+ * Same return shape as fetchSnotelData.
+ *
+ * Readings flagged suspect and one-hour spikes are dropped, then precip and
+ * SWE are summed from the clean hour-to-hour gains on a gap-filled hourly
+ * series, so a missing endpoint or the Oct 1 reset of PREC doesn't skew the
+ * total. Anything worth knowing about the data goes in `warnings`.
+ */
+export function summarizeSnotel(area, text, site = area.snotel) {
+  const { columns, rows } = parseSnotelCsv(text);
+  if (rows.length < 2) throw new Error('Not enough SNOTEL data');
 
-  // SWE change
-  const sweFirst = first.wteq;
-  const sweLast = last.wteq;
-  const sweChange = (sweFirst != null && sweLast != null)
-    ? Math.max(0, sweLast - sweFirst)
-    : 0;
+  const warnings = [];
+  for (const [key, { label }] of Object.entries(SNOTEL_COLUMNS)) {
+    if (!columns.has(key)) warnings.push(`SNOTEL report has no ${label} column`);
+  }
 
-  // Estimate snowfall from liquid precip × snow-to-water ratio
-  const totalSnowfall = totalPrecip * SNOW_LIQUID_RATIO;
+  const series = snotelSeries(rows, warnings);
+  for (const key of ['prec', 'wteq', 'snwd']) {
+    if (columns.has(key)) warnGaps(series, key, warnings);
+  }
+
+  // Precipitation accumulation is water-year cumulative; its gains are new precip
+  const precip = accumulate(series, 'prec', warnings);
+  const swe = accumulate(series, 'wteq', warnings);
+  if (precip.readings < 2) warnings.push('Too few SNOTEL precip readings for a total');
+  const totalPrecip = precip.readings >= 2 ? precip.total : null;
+  const sweChange = swe.readings >= 2 ? swe.total : null;
+
+  // Snow depth gain; median of a few readings at each end rides out sensor noise
+  const depths = series.map(hour => hour.snwd).filter(v => v != null);
+  const depthFirst = edgeMedian(depths.slice(0, 3));
+  const depthLast = edgeMedian(depths.slice(-3));
+  const depthChange = (depthFirst != null && depthLast != null)
+    ? Math.max(0, depthLast - depthFirst)
+    : null;
+
+  // Estimate snowfall from liquid precip × a snow-to-water ratio taken hour
+  // by hour from the station temperature
+  const temps = series.map(hour => hour.tobs);
+  const storm = stormSnowRatio(precip.hourly, temps);
+  const snowRatio = storm ? storm.ratio : SNOW_LIQUID_RATIO;
+  const totalSnowfall = totalPrecip != null ? totalPrecip * snowRatio : null;
 
   return {
+    source: 'snotel',
     totalSnowfall,
     totalPrecip,
     sweChange,
-    baseDepth: last.snwd,
-    tempF: last.tobs
+    depthChange,
+    baseDepth: depths.length ? depths[depths.length - 1] : null,
+    tempF: temps.findLast(t => t != null) ?? null,
+    stormTempF: computeStormTemp(precip.hourly, temps),
+    snowRatio,
+    snowDensity: storm ? storm.density : null,
+    stationElevFt: parseSnotelElevation(text) ?? site.elevationFt ?? null,
+    warnings
   };
 }
 
 /**
- * Parse the SNOTEL Report Generator CSV into an array of row objects.
+ * Median of the non-null readings, or null if there are none.
+ */
+function edgeMedian(values) {
+  const valid = values.filter(v => v != null).sort((a, b) => a - b);
+  if (valid.length === 0) return null;
+  const mid = Math.floor(valid.length / 2);
+  return valid.length % 2 ? valid[mid] : (valid[mid - 1] + valid[mid]) / 2;
+}
+
+/**
+ * Mean station temperature over the hours when precipitation accumulated,
+ * falling back to the mean over the whole period if none did.
+ * Returns °F or null if the station reported no temperatures.
+ */
+function computeStormTemp(hourlyPrecip, temps) {
+  let stormSum = 0;
+  let stormCount = 0;
+  let allSum = 0;
+  let allCount = 0;
+
+  for (let i = 0; i < temps.length; i++) {
+    const t = temps[i];
+    if (t == null) continue;
+    allSum += t;
+    allCount++;
+
+    if (hourlyPrecip[i] > 0) {
+      stormSum += t;
+      stormCount++;
+    }
+  }
+
+  if (stormCount > 0) return stormSum / stormCount;
+  return allCount > 0 ? allSum / allCount : null;
+}
+
+/**
+ * Pull the station elevation (ft) out of the CSV header comments, e.g.
+ * "# <Station Name> (1300) Utah SNOTEL Site - 8,000 ft". Returns null if absent.
+ */
+function parseSnotelElevation(text) {
+  const match = text.match(/^#.*SNOTEL Site\s*-\s*([\d,]+)\s*ft/im);
+  return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+}
+
+// ── SNOTEL data quality ─────────────────────────────────────────────
+
+/**
+ * Report Generator elements, found by the start of their header
+ * ("Snow Depth (in) Start of Hour Values"). A reading further than `spike`
+ * from both its neighbours, while they agree, is a one-hour sensor glitch.
+ */
+const SNOTEL_COLUMNS = {
+  snwd: { header: /^snow depth/i, label: 'snow depth', spike: 6 },
+  prec: { header: /^precipitation accumulation/i, label: 'precip', spike: 1 },
+  wteq: { header: /^snow water equivalent/i, label: 'SWE', spike: 1 },
+  tobs: { header: /^air temperature observed/i, label: 'temperature', spike: 25 },
+};
+
+// NRCS QC flag on readings that failed quality control
+const SUSPECT_FLAG = 'S';
+
+const SNOTEL_DATE_RE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/;
+const HOUR_MS = 3600 * 1000;
+
+/**
+ * Parse the SNOTEL Report Generator CSV, matching columns by header name.
+ * Returns { columns: Map(element → { value, flag } column indexes),
+ *   rows: [{ date, snwd, prec, wteq, tobs, flags: { [element]: qcFlag | null } }] }
  */
 function parseSnotelCsv(text) {
-  const lines = text.split('\n');
+  const columns = new Map();
   const rows = [];
   let headerSeen = false;
 
-  for (const line of lines) {
+  for (const line of text.split('\n')) {
     const trimmed = line.trim();
     if (!trimmed || trimmed.startsWith('#')) continue;
+    const cols = trimmed.split(',').map(col => col.trim());
 
     if (!headerSeen) {
       headerSeen = true;
+      cols.forEach((name, i) => {
+        const key = Object.keys(SNOTEL_COLUMNS).find(k => SNOTEL_COLUMNS[k].header.test(name));
+        if (!key) return;
+        const column = columns.get(key) ?? { value: null, flag: null };
+        if (/qc flag/i.test(name)) column.flag = i;
+        else if (!/flag/i.test(name)) column.value = i;
+        columns.set(key, column);
+      });
+      for (const [key, column] of columns) if (column.value == null) columns.delete(key);
       continue;
     }
 
-    const cols = trimmed.split(',');
-    if (cols.length < 5) continue;
+    if (!SNOTEL_DATE_RE.test(cols[0])) continue;
+    const row = { date: cols[0], flags: {} };
+    for (const key of Object.keys(SNOTEL_COLUMNS)) {
+      const column = columns.get(key);
+      row[key] = column ? parseReading(cols[column.value]) : null;
+      row.flags[key] = column && column.flag != null ? cols[column.flag] || null : null;
+    }
+    rows.push(row);
+  }
+
+  return { columns, rows };
+}
+
+/**
+ * A CSV reading as a number, or null if blank or not a number. 0 is a reading.
+ */
+function parseReading(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Lay parsed rows on an unbroken hourly series from the first row to the
+ * last, with nulls for missing hours, suspect readings and spikes.
+ * Returns [{ date, snwd, prec, wteq, tobs }].
+ */
+function snotelSeries(rows, warnings) {
+  // Station-local times, indexed as if UTC; only the differences matter
+  const hourOf = date => Date.parse(`${date.replace(' ', 'T')}:00Z`) / HOUR_MS;
+  const first = Math.min(...rows.map(row => hourOf(row.date)));
+  const last = Math.max(...rows.map(row => hourOf(row.date)));
+
+  const series = Array.from({ length: last - first + 1 }, (_, i) => ({
+    date: new Date((first + i) * HOUR_MS).toISOString().slice(0, 16).replace('T', ' '),
+    snwd: null, prec: null, wteq: null, tobs: null
+  }));
+
+  const suspect = {};
+  for (const row of rows) {
+    const hour = series[hourOf(row.date) - first];
+    for (const key of Object.keys(SNOTEL_COLUMNS)) {
+      if (row.flags[key] === SUSPECT_FLAG) {
+        suspect[key] = (suspect[key] || 0) + 1;
+      } else {
+        hour[key] = row[key];
+      }
+    }
+  }
+
+  for (const [key, { label, spike }] of Object.entries(SNOTEL_COLUMNS)) {
+    if (suspect[key]) warnings.push(`Ignored ${suspect[key]} SNOTEL ${label} reading${suspect[key] > 1 ? 's' : ''} flagged suspect`);
+    const spikes = rejectSpikes(series, key, spike);
+    if (spikes) warnings.push(`Ignored ${spikes} SNOTEL ${label} spike${spikes > 1 ? 's' : ''}`);
+  }
+  return series;
+}
+
+/**
+ * Null out readings that jump away from both neighbours by more than `limit`
+ * while the neighbours agree. At either end of the series the two nearest
+ * readings on the one side stand in. Returns how many were dropped.
+ */
+function rejectSpikes(series, key, limit) {
+  const valid = [];
+  series.forEach((hour, i) => { if (hour[key] != null) valid.push(i); });
+  if (valid.length < 3) return 0;
+
+  const values = valid.map(i => series[i][key]);
+  const spikes = [];
+  for (let j = 0; j < valid.length; j++) {
+    const [a, b] = j === 0 ? [values[1], values[2]]
+      : j === valid.length - 1 ? [values[j - 1], values[j - 2]]
+      : [values[j - 1], values[j + 1]];
+    const v = values[j];
+    if (Math.abs(a - b) <= limit && Math.abs(v - a) > limit && Math.abs(v - b) > limit) spikes.push(valid[j]);
+  }
+
+  for (const i of spikes) series[i][key] = null;
+  return spikes.length;
+}
+
+/**
+ * Sum the clean gains of a cumulative element (PREC or SWE) over the series.
+ *
+ * Gains count against the highest level seen since the last rebase, so
+ * gauge noise and settling don't add up. A gain steeper than
+ * SNOTEL_MAX_HOURLY_IN is a gauge fault and is skipped; a drop of more than
+ * SNOTEL_RESET_IN (the Oct 1 water-year reset of PREC, a drained gauge,
+ * melt) starts counting again from the new level. Gains across missing
+ * hours are spread evenly over them.
+ *
+ * Returns { total, hourly: per-hour gains, readings: count of valid readings }
+ */
+function accumulate(series, key, warnings) {
+  const { label } = SNOTEL_COLUMNS[key];
+  const hourly = new Array(series.length).fill(0);
+  let total = 0;
+  let readings = 0;
+  let base = null;
+  let baseAt = 0;
+
+  for (let i = 0; i < series.length; i++) {
+    const value = series[i][key];
+    if (value == null) continue;
+    readings++;
+    if (base == null) {
+      base = value;
+      baseAt = i;
+      continue;
+    }
 
-    rows.push({
-      date: cols[0].trim(),
-      snwd: parseFloat(cols[1]) || null,
-      prec: parseFloat(cols[2]) || null,
-      wteq: parseFloat(cols[3]) || null,
-      tobs: parseFloat(cols[4]) || null
-    });
+    const gain = value - base;
+    const hours = i - baseAt;
+    if (gain > SNOTEL_MAX_HOURLY_IN * hours) {
+      warnings.push(`Ignored a ${formatInches(gain)} jump in SNOTEL ${label} at ${series[i].date}`);
+    } else if (gain > 0) {
+      for (let h = baseAt + 1; h <= i; h++) hourly[h] += gain / hours;
+      total += gain;
+    } else if (gain >= -SNOTEL_RESET_IN) {
+      continue;
+    } else if (key === 'prec' && !crossesWaterYear(series[baseAt].date, series[i].date)) {
+      warnings.push(`SNOTEL precip dropped ${formatInches(-gain)} at ${series[i].date} — counting from the new level`);
+    }
+    base = value;
+    baseAt = i;
   }
 
-  return rows;
+  return { total, hourly, readings };
+}
+
+/**
+ * Whether Oct 1, when PREC resets for the new water year, falls between two
+ * readings ("YYYY-MM-DD HH:MM").
+ */
+function crossesWaterYear(from, to) {
+  const reset = `${to.slice(0, 4)}-10-01 00:00`;
+  return from < reset && to >= reset;
+}
+
+/**
+ * Warn about runs of missing readings longer than SNOTEL_GAP_WARN_HOURS.
+ */
+function warnGaps(series, key, warnings) {
+  const { label } = SNOTEL_COLUMNS[key];
+  let run = 0;
+  for (let i = 0; i <= series.length; i++) {
+    if (i < series.length && series[i][key] == null) {
+      run++;
+      continue;
+    }
+    if (run > SNOTEL_GAP_WARN_HOURS) {
+      warnings.push(`No SNOTEL ${label} readings for ${run} h from ${series[i - run].date}`);
+    }
+    run = 0;
+  }
 }
 
 // ── Resort API (staff-reported snow) ─────────────────────────────────
 
 /**
- * Fetch resort-reported snow data from Powder Mountain's API.
- * Returns { snow12h, snow24h, snow48h, baseDepth } in inches.
+ * Resort API adapters, keyed by the profile's resort.adapter name.
+ * Each turns the resort's JSON into { snow12h, snow24h, snow48h, baseDepth } in inches.
  */
-export async function fetchResortSnow() {
-  const res = await fetch(RESORT_API_URL);
-  if (!res.ok) throw new Error(`Resort API returned ${res.status}`);
-  const data = await res.json();
-  const snow = data.conditions.currentSnow;
-  return {
-    snow12h: snow.freshSnowFallDepth12H.countryValue,
-    snow24h: snow.freshSnowFallDepth24H.countryValue,
-    snow48h: snow.freshSnowFallDepth48H.countryValue,
-    baseDepth: snow.snowTotalDepth.countryValue,
-  };
+const RESORT_ADAPTERS = {
+  powdermountain(data) {
+    const snow = data.conditions.currentSnow;
+    return {
+      snow12h: snow.freshSnowFallDepth12H.countryValue,
+      snow24h: snow.freshSnowFallDepth24H.countryValue,
+      snow48h: snow.freshSnowFallDepth48H.countryValue,
+      baseDepth: snow.snowTotalDepth.countryValue,
+    };
+  },
+};
+
+/**
+ * Fetch resort-reported snow data; the proxy runs the area's resort adapter.
+ * Returns { snow12h, snow24h, snow48h, baseDepth } in inches, or null if the
+ * area has no resort API.
+ *
+ * @param {Object} area - Area profile (see profiles.js)
+ */
+export async function fetchResortSnow(area) {
+  if (!area.resort) return null;
+
+  const res = await fetchApi('resort', { area: area.id });
+  return res.json();
+}
+
+/**
+ * Run the area's resort adapter over a raw resort API response (server side,
+ * in the resort provider).
+ */
+export function parseResortSnow(area, data) {
+  const adapter = RESORT_ADAPTERS[area.resort.adapter];
+  if (!adapter) throw new Error(`Unknown resort adapter "${area.resort.adapter}"`);
+  return adapter(data);
 }
 
 /**
@@ -113,41 +452,46 @@ export function getResortSnowForPeriod(resort, hours) {
   return resort.snow48h;
 }
 
+
+// ── Open-Meteo (wind only) ──────────────────────────────────────────
+
 /**
- * Average SNOTEL-derived snowfall with resort-reported snowfall.
- * If one source is unavailable, use the other.
+ * Open-Meteo location parameters for an area's wind point.
  */
-export function averageSnowfall(snotelSnowfall, resortSnowfall) {
-  if (snotelSnowfall != null && resortSnowfall != null) {
-    return (snotelSnowfall + resortSnowfall) / 2;
-  }
-  return snotelSnowfall ?? resortSnowfall ?? 0;
+function windPoint(area) {
+  return `&latitude=${area.wind.lat}&longitude=${area.wind.lon}`;
 }
 
-// ── Open-Meteo (wind only) ──────────────────────────────────────────
-
 /**
- * Build Open-Meteo URL for a given lookback period.
+ * Build upstream Open-Meteo URL for a given lookback period, plus
+ * STORM_LOOKBACK_DAYS for the sun-since-storm history.
  */
-function windUrl(hours) {
-  const pastDays = hours <= 24 ? 1 : 2;
-  return `${WIND_BASE_URL}&past_days=${pastDays}`;
+export function windUrl(area, hours) {
+  const pastDays = (hours <= 24 ? 1 : 2) + STORM_LOOKBACK_DAYS;
+  return `${WIND_BASE_URL}${windPoint(area)}&past_days=${pastDays}&forecast_days=0`;
 }
 
 /**
  * Fetch wind data from Open-Meteo for the given lookback period.
  * Returns the raw JSON response, trimmed to the requested number of hours.
  *
+ * @param {Object} area - Area profile (see profiles.js)
  * @param {number} hours - Lookback period (12, 24, or 48)
  */
-export async function fetchWindData(hours = 24) {
-  const res = await fetch(windUrl(hours));
-  if (!res.ok) throw new Error(`Wind API returned ${res.status}`);
-  const data = await res.json();
+export async function fetchWindData(area, hours = 24) {
+  const res = await fetchApi('wind', { area: area.id, hours });
+  return trimWindData(await res.json(), hours);
+}
 
-  // Open-Meteo returns full days; trim to the requested hours from the end
+/**
+ * Open-Meteo returns full days; trim hourly arrays to the requested hours
+ * from the end, keeping the full history (see keepHistory). Mutates and
+ * returns `data`.
+ */
+export function trimWindData(data, hours) {
   if (data.hourly && data.hourly.time) {
     const total = data.hourly.time.length;
+    keepHistory(data, total);
     const keep = Math.min(hours, total);
     const start = total - keep;
     for (const key of Object.keys(data.hourly)) {
@@ -210,3 +554,160 @@ export function computeDominantWind(hourly) {
     maxGust
   };
 }
+
+/**
+ * Build upstream Open-Meteo archive URL for a dated range of whole days.
+ */
+export function windArchiveUrl(area, startDate, endDate) {
+  return `${WIND_ARCHIVE_BASE_URL}${windPoint(area)}&start_date=${startDate}&end_date=${endDate}`;
+}
+
+/**
+ * Fetch archived hourly weather from Open-Meteo for a past date range.
+ * Returns the raw JSON response (same hourly fields as fetchWindData).
+ *
+ * @param {Object} area - Area profile (see profiles.js)
+ * @param {string} startDate - First day, YYYY-MM-DD
+ * @param {string} endDate - Last day (inclusive), YYYY-MM-DD
+ */
+export async function fetchWindRange(area, startDate, endDate) {
+  const from = new Date(Date.parse(startDate) - STORM_LOOKBACK_DAYS * 86400000).toISOString().slice(0, 10);
+  const res = await fetchApi('wind', { area: area.id, start: from, end: endDate });
+  return trimWindRange(await res.json(), startDate);
+}
+
+/**
+ * Drop the hours before a range's first day (fetched for the storm
+ * history), keeping them in `data.history`. Mutates and returns `data`.
+ */
+export function trimWindRange(data, startDate) {
+  if (data.hourly && data.hourly.time) {
+    const total = data.hourly.time.length;
+    keepHistory(data, total);
+    let start = data.hourly.time.findIndex(t => t >= `${startDate}T00:00`);
+    if (start < 0) start = total;
+    for (const key of Object.keys(data.hourly)) {
+      data.hourly[key] = data.hourly[key].slice(start);
+    }
+  }
+
+  return data;
+}
+
+// Hourly fields the sun-since-storm model reads (solar.js)
+const HISTORY_FIELDS = ['time', 'precipitation', 'direct_normal_irradiance'];
+
+/**
+ * Copy the hours up to `end` (the end of the scoring window) of the fields
+ * solar.js needs into `data.history` before the hourly arrays are trimmed,
+ * so the last storm can be found even when it ended before the window.
+ */
+function keepHistory(data, end) {
+  data.history = {};
+  for (const key of HISTORY_FIELDS) {
+    if (data.hourly[key]) data.history[key] = data.hourly[key].slice(0, end);
+  }
+}
+
+// ── Open-Meteo forecast (wind + precipitation + temperature) ────────
+
+/**
+ * Build upstream Open-Meteo URL covering today plus enough days for the
+ * forecast window, and STORM_LOOKBACK_DAYS back for the storm history.
+ */
+export function forecastUrl(area, hours) {
+  const forecastDays = 1 + Math.ceil(hours / 24);
+  return `${WIND_BASE_URL}${windPoint(area)}&past_days=${STORM_LOOKBACK_DAYS}&forecast_days=${forecastDays}`;
+}
+
+/**
+ * Convert an Open-Meteo local time string ("2024-01-15T06:00") to epoch ms.
+ */
+export function hourlyTimeToEpoch(time, utcOffsetSeconds) {
+  return Date.parse(`${time}:00Z`) - utcOffsetSeconds * 1000;
+}
+
+/**
+ * Fetch the Open-Meteo forecast for the next N hours.
+ * Returns the raw JSON response with hourly arrays trimmed to start at the
+ * current hour and run for the requested number of hours.
+ *
+ * @param {Object} area - Area profile (see profiles.js)
+ * @param {number} hours - Forecast period (12, 24, or 48)
+ */
+export async function fetchForecastData(area, hours = 24) {
+  const res = await fetchApi('wind', { area: area.id, forecast: hours });
+  // A replayed forecast starts from when it was recorded, not from now
+  const now = Date.parse(res.headers.get('X-Recorded-At')) || Date.now();
+  return trimForecastData(await res.json(), hours, now);
+}
+
+/**
+ * Skip the forecast hours already past and keep the next `hours`; the past
+ * days and the kept hours stay in `data.history`. Mutates and returns `data`.
+ */
+export function trimForecastData(data, hours, now = Date.now()) {
+  if (data.hourly && data.hourly.time) {
+    const offset = data.utc_offset_seconds || 0;
+    const hourStart = now - 3600 * 1000;
+    let start = data.hourly.time.findIndex(t => hourlyTimeToEpoch(t, offset) > hourStart);
+    if (start < 0) start = data.hourly.time.length;
+    keepHistory(data, start + hours);
+    for (const key of Object.keys(data.hourly)) {
+      data.hourly[key] = data.hourly[key].slice(start, start + hours);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Reduce a forecast to the same shape fetchSnotelData returns, so it can feed
+ * the same scoring pipeline. Snowfall is liquid precip × an hourly
+ * temperature-driven snow-to-water ratio at the forecast grid point; the snow
+ * line model handles rain below it.
+ *
+ * Returns { source: 'forecast', totalSnowfall, totalPrecip, sweChange, depthChange, baseDepth,
+ *   tempF, stormTempF, snowRatio, snowDensity, stationElevFt, warnings }
+ */
+export function summarizeForecast(data) {
+  const precip = data.hourly.precipitation || [];
+  const temps = data.hourly.temperature_2m || [];
+
+  let totalPrecip = 0;
+  let weightedTemp = 0;
+  let weightedPrecip = 0;
+  let tempSum = 0;
+  let tempCount = 0;
+
+  for (let i = 0; i < precip.length; i++) {
+    const p = precip[i] ?? 0;
+    const t = temps[i];
+    totalPrecip += p;
+    if (t == null) continue;
+    weightedTemp += p * t;
+    weightedPrecip += p;
+    tempSum += t;
+    tempCount++;
+  }
+
+  const meanTemp = tempCount > 0 ? tempSum / tempCount : null;
+  const storm = stormSnowRatio(precip, temps);
+  const snowRatio = storm ? storm.ratio : SNOW_LIQUID_RATIO;
+
+  return {
+    source: 'forecast',
+    totalSnowfall: totalPrecip * snowRatio,
+    totalPrecip,
+    sweChange: null,
+    depthChange: null,
+    baseDepth: null,
+    tempF: meanTemp,
+    stormTempF: weightedPrecip > 0 ? weightedTemp / weightedPrecip : meanTemp,
+    snowRatio,
+    snowDensity: storm ? storm.density : null,
+    // Open-Meteo reports the model grid elevation in meters
+    stationElevFt: data.elevation != null ? data.elevation * 3.28084 : null,
+    warnings: []
+  };
+}
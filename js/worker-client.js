@@ -0,0 +1,102 @@
+/**
+ * Promise wrapper around powder-worker.js.
+ *
+ * Each request gets an id; its progress messages go to the onProgress
+ * callback, and cancel() rejects its promise with an AbortError right away
+ * while the worker stops at its next stage boundary.
+ */
+export function createPowderWorker() {
+  const worker = new Worker(new URL('./powder-worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map(); // id → { resolve, reject, onProgress }
+  let nextId = 1;
+
+  worker.onmessage = ({ data }) => {
+    const job = pending.get(data.id);
+    if (!job) return; // cancelled on this side already
+
+    if (data.type === 'progress') {
+      job.onProgress?.(data.message);
+      return;
+    }
+
+    pending.delete(data.id);
+    if (data.type === 'result') job.resolve(data.result);
+    else if (data.type === 'cancelled') job.reject(abortError());
+    else job.reject(new Error(data.message));
+  };
+
+  worker.onerror = event => {
+    console.error('Powder worker error:', event.message);
+    for (const job of pending.values()) job.reject(new Error(event.message || 'Worker failed'));
+    pending.clear();
+  };
+
+  function request(type, payload, onProgress) {
+    const id = nextId++;
+    const promise = new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+    });
+    worker.postMessage({ type, id, ...payload });
+
+    return {
+      id,
+      promise,
+      cancel() {
+        const job = pending.get(id);
+        if (!job) return;
+        pending.delete(id);
+        worker.postMessage({ type: 'cancel', id });
+        job.reject(abortError());
+      }
+    };
+  }
+
+  return {
+    /** Load an area's terrain into the worker. Resolves to { width, height, cellSize }. */
+    loadTerrain(area, zoom, token, onProgress) {
+      return request('loadTerrain', { area, zoom, token }, onProgress);
+    },
+
+    /**
+     * Score the loaded terrain, with the lifts having run hoursOpen hours
+     * since the storm. Resolves to { scores, crust, width, height }.
+     */
+    score(weather, hoursOpen, onProgress) {
+      return request('score', { weather, hoursOpen }, onProgress);
+    },
+
+    /** Rescore the last scoring job for new lift hours. Resolves to { scores, width, height }. */
+    retime(hoursOpen, onProgress) {
+      return request('retime', { hoursOpen }, onProgress);
+    },
+
+    /** Set (or clear, with null) the lifts from parseLifts. Resolves to { sources } or null. */
+    setLifts(lifts, onProgress) {
+      return request('setLifts', { lifts }, onProgress);
+    },
+
+    /**
+     * Look up one grid pixel. Includes the score breakdown if scoreId is the
+     * id of the worker's latest completed score request.
+     */
+    inspect(index, scoreId) {
+      return request('inspect', { index, scoreId });
+    },
+
+    /** Grid pixels per run. Resolves to [{ id, name, indices }]. */
+    rasterizeRuns(collection) {
+      return request('rasterizeRuns', { collection });
+    },
+
+    /** High-score zones as a GeoJSON FeatureCollection. */
+    extractZones(scores, threshold, onProgress) {
+      return request('extractZones', { scores, threshold }, onProgress);
+    }
+  };
+}
+
+function abortError() {
+  const err = new Error('Cancelled');
+  err.name = 'AbortError';
+  return err;
+}
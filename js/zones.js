@@ -0,0 +1,259 @@
+import { ZONE_BLOCK_SIZE, ZONE_MIN_AREA_M2 } from './config.js';
+import { gridCoordsToLonLat } from './terrain.js';
+
+/**
+ * Extract high-score zones from a score grid as GeoJSON polygons.
+ *
+ * 1. Average scores over ZONE_BLOCK_SIZE² pixel blocks (drops speckle)
+ * 2. Blocks whose mean reaches the threshold form zones (4-connected)
+ * 3. Zones under ZONE_MIN_AREA_M2 are dropped
+ * 4. Each zone's outline is traced along block edges and georeferenced with
+ *    the stitched grid bounds (getGridBounds)
+ *
+ * Features are ordered best first (mean score) and carry
+ * { name, rank, meanScore, maxScore, areaM2, centroid: [lon, lat] }.
+ *
+ * @param {Float32Array} scores - From computePowderScores
+ * @param {number} width - Grid width in pixels
+ * @param {number} height - Grid height in pixels
+ * @param {Object} gridBounds - { north, south, east, west } of the grid
+ * @param {number} cellSize - Meters per pixel
+ * @param {number} threshold - Minimum block mean score
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function extractZones(scores, width, height, gridBounds, cellSize, threshold) {
+  const block = ZONE_BLOCK_SIZE;
+  const bw = Math.ceil(width / block);
+  const bh = Math.ceil(height / block);
+  const { means, maxes } = blockStats(scores, width, height, block, bw, bh);
+
+  const labels = labelComponents(means, bw, bh, threshold);
+  const blockArea = (block * cellSize) ** 2;
+  const toLonLat = (bx, by) => gridCoordsToLonLat(
+    Math.min(bx * block, width), Math.min(by * block, height), gridBounds, width, height
+  );
+
+  const zones = [];
+  for (const cells of labels.components) {
+    const areaM2 = cells.length * blockArea;
+    if (areaM2 < ZONE_MIN_AREA_M2) continue;
+
+    let sum = 0, max = 0, cx = 0, cy = 0;
+    for (const c of cells) {
+      sum += means[c];
+      if (maxes[c] > max) max = maxes[c];
+      cx += c % bw + 0.5;
+      cy += Math.floor(c / bw) + 0.5;
+    }
+
+    // Traced rings run clockwise on the map; GeoJSON wants exteriors
+    // counter-clockwise, so reverse them
+    const polygons = traceOutline(cells, labels.ids, bw)
+      .map(poly => poly.map(ring => ring.map(([x, y]) => toLonLat(x, y)).reverse()));
+
+    zones.push({
+      geometry: polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons },
+      meanScore: sum / cells.length,
+      maxScore: max,
+      areaM2,
+      centroid: toLonLat(cx / cells.length, cy / cells.length)
+    });
+  }
+
+  zones.sort((a, b) => b.meanScore - a.meanScore);
+
+  return {
+    type: 'FeatureCollection',
+    features: zones.map((zone, i) => ({
+      type: 'Feature',
+      geometry: zone.geometry,
+      properties: {
+        name: `Zone ${i + 1}`,
+        rank: i + 1,
+        meanScore: round(zone.meanScore, 3),
+        maxScore: round(zone.maxScore, 3),
+        areaM2: Math.round(zone.areaM2),
+        centroid: zone.centroid.map(v => round(v, 6))
+      }
+    }))
+  };
+}
+
+function round(val, digits) {
+  const f = 10 ** digits;
+  return Math.round(val * f) / f;
+}
+
+/**
+ * Mean and max score per block.
+ */
+function blockStats(scores, width, height, block, bw, bh) {
+  const sums = new Float64Array(bw * bh);
+  const counts = new Uint32Array(bw * bh);
+  const maxes = new Float32Array(bw * bh);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / block) * bw;
+    for (let x = 0; x < width; x++) {
+      const v = scores[y * width + x];
+      if (isNaN(v)) continue;
+      const b = row + Math.floor(x / block);
+      sums[b] += v;
+      counts[b]++;
+      if (v > maxes[b]) maxes[b] = v;
+    }
+  }
+
+  const means = new Float32Array(bw * bh);
+  for (let b = 0; b < means.length; b++) {
+    means[b] = counts[b] > 0 ? sums[b] / counts[b] : 0;
+  }
+  return { means, maxes };
+}
+
+/**
+ * 4-connected components of blocks at or above the threshold.
+ * Returns { ids: Int32Array (component per block, -1 = none), components: [[block]] }.
+ */
+function labelComponents(means, bw, bh, threshold) {
+  const ids = new Int32Array(bw * bh).fill(-1);
+  const components = [];
+  const stack = [];
+
+  for (let start = 0; start < means.length; start++) {
+    if (ids[start] !== -1 || !(means[start] >= threshold)) continue;
+
+    const id = components.length;
+    const cells = [];
+    ids[start] = id;
+    stack.push(start);
+
+    while (stack.length) {
+      const c = stack.pop();
+      cells.push(c);
+      const x = c % bw;
+      const y = (c - x) / bw;
+      const neighbors = [
+        x > 0 ? c - 1 : -1,
+        x < bw - 1 ? c + 1 : -1,
+        y > 0 ? c - bw : -1,
+        y < bh - 1 ? c + bw : -1
+      ];
+      for (const n of neighbors) {
+        if (n >= 0 && ids[n] === -1 && means[n] >= threshold) {
+          ids[n] = id;
+          stack.push(n);
+        }
+      }
+    }
+    components.push(cells);
+  }
+
+  return { ids, components };
+}
+
+/**
+ * Trace a component's boundary along block edges.
+ *
+ * Edges keep the component on their right, so outer rings run clockwise as
+ * drawn (positive signed area with y down) and holes counter-clockwise.
+ * Where the component touches itself only at a corner, the trace always
+ * takes the rightmost turn.
+ *
+ * Returns polygons as [[outer ring, ...holes]], rings closed, in block coords.
+ */
+function traceOutline(cells, ids, bw) {
+  const id = ids[cells[0]];
+  const inside = (x, y) => x >= 0 && x < bw && y >= 0 && ids[y * bw + x] === id;
+  const stride = bw + 1;
+
+  // Directed boundary edges, keyed by start vertex
+  const outgoing = new Map();
+  const addEdge = (x1, y1, x2, y2) => {
+    const key = y1 * stride + x1;
+    if (!outgoing.has(key)) outgoing.set(key, []);
+    outgoing.get(key).push([x2, y2]);
+  };
+
+  for (const c of cells) {
+    const x = c % bw;
+    const y = (c - x) / bw;
+    if (!inside(x, y - 1)) addEdge(x, y, x + 1, y);             // top
+    if (!inside(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);     // right
+    if (!inside(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);     // bottom
+    if (!inside(x - 1, y)) addEdge(x, y + 1, x, y);             // left
+  }
+
+  const rings = [];
+  for (const [startKey, ends] of outgoing) {
+    while (ends.length) {
+      const sx = startKey % stride;
+      const sy = (startKey - sx) / stride;
+      const ring = [[sx, sy]];
+      let [px, py] = [sx, sy];
+      let [nx, ny] = ends.pop();
+
+      while (nx !== sx || ny !== sy) {
+        const dx = nx - px;
+        const dy = ny - py;
+        const options = outgoing.get(ny * stride + nx);
+        // Prefer right turn, then straight, then left
+        const prefs = [[-dy, dx], [dx, dy], [dy, -dx]];
+        let pick = 0;
+        for (const [ex, ey] of prefs) {
+          const i = options.findIndex(([ox, oy]) => ox - nx === ex && oy - ny === ey);
+          if (i !== -1) { pick = i; break; }
+        }
+
+        ring.push([nx, ny]);
+        [px, py] = [nx, ny];
+        [nx, ny] = options.splice(pick, 1)[0];
+      }
+      ring.push([sx, sy]);
+      rings.push(dropCollinear(ring));
+    }
+  }
+
+  // Group holes under the outer ring that contains them
+  const outers = rings.filter(r => signedArea(r) > 0).map(r => [r]);
+  for (const hole of rings.filter(r => signedArea(r) < 0)) {
+    // An edge midpoint can't lie on another ring, so it tests cleanly
+    const mx = (hole[0][0] + hole[1][0]) / 2;
+    const my = (hole[0][1] + hole[1][1]) / 2;
+    const owner = outers.find(poly => pointInRing(mx, my, poly[0])) || outers[0];
+    owner.push(hole);
+  }
+  return outers;
+}
+
+function dropCollinear(ring) {
+  // ring is closed (first === last)
+  const pts = ring.slice(0, -1);
+  const kept = pts.filter((p, i) => {
+    const prev = pts[(i + pts.length - 1) % pts.length];
+    const next = pts[(i + 1) % pts.length];
+    return (p[0] - prev[0]) * (next[1] - p[1]) !== (p[1] - prev[1]) * (next[0] - p[0]);
+  });
+  kept.push(kept[0]);
+  return kept;
+}
+
+function signedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area / 2;
+}
+
+function pointInRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < xj + (y - yj) / (yi - yj) * (xi - xj)) inside = !inside;
+  }
+  return inside;
+}
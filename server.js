@@ -1,10 +1,16 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { handleProxyRoute, sendError, ApiError } = require('./server/api');
+const { handlePowderRoute } = require('./server/powder');
+const { startAlertScheduler } = require('./server/alerts');
+const { DATA_MODE, SESSION_DIR } = require('./server/fixtures');
 
 const PORT = process.env.PORT || 3000;
 const MAPBOX_TOKEN = process.env.MAPBOX_TOKEN || 'YOUR_MAPBOX_TOKEN_HERE';
 
+const PRIVATE_PATHS = ['/alerts.json', '/data', '/fixtures'];
+
 const MIME_TYPES = {
   '.html': 'text/html',
   '.css': 'text/css',
@@ -12,17 +18,37 @@ const MIME_TYPES = {
   '.json': 'application/json',
   '.png': 'image/png',
   '.ico': 'image/x-icon',
+  '.svg': 'image/svg+xml',
+  '.webmanifest': 'application/manifest+json',
 };
 
-const server = http.createServer((req, res) => {
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
   // Dynamically generate env.js with the token from environment
-  if (req.url === '/env.js') {
+  if (url.pathname === '/env.js') {
     res.writeHead(200, { 'Content-Type': 'application/javascript' });
     res.end(`window.MAPBOX_TOKEN = '${MAPBOX_TOKEN}';\n`);
     return;
   }
 
-  let filePath = path.join(__dirname, req.url === '/' ? 'index.html' : req.url);
+  // Caching data proxy for SNOTEL, Open-Meteo and resort APIs, plus the
+  // headless powder score API
+  if (url.pathname.startsWith('/api/')) {
+    if (!(await handleProxyRoute(req, res, url)) && !(await handlePowderRoute(req, res, url))) {
+      sendError(res, new ApiError(404, `No API route ${url.pathname}`));
+    }
+    return;
+  }
+
+  // Alert rules hold webhook URLs; history is server-side only
+  if (PRIVATE_PATHS.some(p => url.pathname === p || url.pathname.startsWith(`${p}/`))) {
+    res.writeHead(404);
+    res.end('Not found');
+    return;
+  }
+
+  let filePath = path.join(__dirname, url.pathname === '/' ? 'index.html' : url.pathname);
   const ext = path.extname(filePath);
   const contentType = MIME_TYPES[ext] || 'application/octet-stream';
 
@@ -39,4 +65,9 @@ const server = http.createServer((req, res) => {
 
 server.listen(PORT, () => {
   console.log(`Powder Map running on port ${PORT}`);
+  if (DATA_MODE !== 'live') console.log(`Data mode: ${DATA_MODE} (fixtures in ${SESSION_DIR})`);
 });
+
+// Powder-day alerts to webhooks, when alerts.json is present; replayed data
+// must not page anyone
+if (DATA_MODE !== 'replay') startAlertScheduler();
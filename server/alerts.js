@@ -0,0 +1,356 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { loadProfile, loadSharedModules, parseHours } = require('./api');
+const { scorePowder } = require('./powder');
+
+/**
+ * Threshold alerts: on a schedule, score each rule's area and period, check
+ * its conditions and POST a JSON summary to its webhooks when they all hold.
+ *
+ * Rules live in alerts.json (see alerts.example.json; ALERTS_CONFIG to move
+ * it) and are read once at startup; alerts stay off without the file. Every
+ * evaluation is appended to the history file, which also tells a restarted
+ * server when each rule last notified. `node server/alerts.js` runs one check
+ * and exits.
+ */
+
+const ROOT = path.join(__dirname, '..');
+const ALERTS_CONFIG = process.env.ALERTS_CONFIG || path.join(ROOT, 'alerts.json');
+const ALERTS_HISTORY = process.env.ALERTS_HISTORY || path.join(ROOT, 'data', 'alert-history.jsonl');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const DEFAULT_INTERVAL_MINUTES = 30;
+// A matching rule notifies again only after this long
+const DEFAULT_COOLDOWN_HOURS = 12;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Condition metrics; shareAbove also takes the score it counts from
+const METRICS = ['snowfall', 'shareAbove', 'mean', 'p90', 'max'];
+
+// ── Config ──────────────────────────────────────────────────────────
+
+/**
+ * Read and validate the alerts config. Resolves to null when there is no
+ * config file; throws on an invalid one.
+ */
+async function loadAlertsConfig(file = ALERTS_CONFIG) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  return parseAlertsConfig(JSON.parse(raw));
+}
+
+/**
+ * Check an alerts config and fill in defaults.
+ *
+ * {
+ *   intervalMinutes: 30,
+ *   webhooks: { name: 'https://…' },
+ *   rules: [{ id, name?, area, hours?, cooldownHours?, webhooks: [name],
+ *             conditions: [{ metric, score?, min?, max? }] }]
+ * }
+ */
+function parseAlertsConfig(config) {
+  const webhooks = config.webhooks || {};
+  for (const [name, url] of Object.entries(webhooks)) {
+    if (!/^https?:\/\//.test(url)) throw new Error(`Webhook "${name}" must be an http(s) URL`);
+  }
+
+  const intervalMinutes = config.intervalMinutes ?? DEFAULT_INTERVAL_MINUTES;
+  if (!(intervalMinutes >= 1)) throw new Error('intervalMinutes must be at least 1');
+
+  if (!Array.isArray(config.rules) || config.rules.length === 0) throw new Error('No alert rules');
+  const ids = new Set();
+
+  const rules = config.rules.map(rule => {
+    const fail = msg => { throw new Error(`Alert rule "${rule.id}": ${msg}`); };
+    if (!rule.id || typeof rule.id !== 'string') throw new Error('Every alert rule needs a string id');
+    if (ids.has(rule.id)) fail('duplicate id');
+    ids.add(rule.id);
+    if (!rule.area) fail('missing area');
+
+    let hours;
+    try {
+      hours = parseHours(String(rule.hours ?? 24));
+    } catch (err) {
+      fail(err.message);
+    }
+
+    if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) fail('no conditions');
+    for (const c of rule.conditions) {
+      if (!METRICS.includes(c.metric)) fail(`unknown metric "${c.metric}" (use ${METRICS.join(', ')})`);
+      if (c.min == null && c.max == null) fail(`${c.metric} condition needs a min or max`);
+      if (c.metric === 'shareAbove' && !(c.score > 0 && c.score <= 1)) fail('shareAbove needs a score in (0, 1]');
+    }
+
+    const ruleWebhooks = rule.webhooks || [];
+    if (ruleWebhooks.length === 0) fail('no webhooks');
+    for (const name of ruleWebhooks) {
+      if (!Object.hasOwn(webhooks, name)) fail(`unknown webhook "${name}"`);
+    }
+
+    return {
+      id: rule.id,
+      name: rule.name || rule.id,
+      area: rule.area,
+      hours,
+      cooldownHours: rule.cooldownHours ?? DEFAULT_COOLDOWN_HOURS,
+      conditions: rule.conditions,
+      webhooks: ruleWebhooks
+    };
+  });
+
+  return { intervalMinutes, webhooks, rules };
+}
+
+// ── History ─────────────────────────────────────────────────────────
+
+let lastNotified = null; // rule id → epoch ms of its last delivered notification
+
+/**
+ * When each rule last notified, from the history file.
+ */
+async function loadLastNotified() {
+  const notified = new Map();
+  let raw;
+  try {
+    raw = await fs.readFile(ALERTS_HISTORY, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return notified;
+    throw err;
+  }
+
+  for (const line of raw.split('\n')) {
+    if (!line) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue; // a half-written last line after a crash
+    }
+    if (entry.notified && entry.notified.some(n => n.ok)) notified.set(entry.rule, Date.parse(entry.at));
+  }
+  return notified;
+}
+
+async function appendHistory(entry) {
+  await fs.mkdir(path.dirname(ALERTS_HISTORY), { recursive: true });
+  await fs.appendFile(ALERTS_HISTORY, `${JSON.stringify(entry)}\n`);
+}
+
+// ── Evaluation ──────────────────────────────────────────────────────
+
+function conditionValue(condition, weather, stats) {
+  if (condition.metric === 'snowfall') return weather.totalSnowfall;
+  if (condition.metric === 'shareAbove') return stats.shareAbove[condition.score];
+  return stats[condition.metric];
+}
+
+/**
+ * "snowfall 9.2\" (≥ 8\")" / "7% scores ≥ 0.8 (≥ 5%)" for a checked condition.
+ */
+function describeCondition({ metric, score, min, max, value }, { formatInches }) {
+  const bound = [min != null && `≥ ${min}`, max != null && `≤ ${max}`].filter(Boolean).join(', ');
+  if (metric === 'snowfall') return `snowfall ${formatInches(value)} (${bound}")`;
+  if (metric === 'shareAbove') {
+    const pct = share => `${Math.round(share * 100)}%`;
+    const shareBound = [min != null && `≥ ${pct(min)}`, max != null && `≤ ${pct(max)}`].filter(Boolean).join(', ');
+    return `${pct(value)} scores ≥ ${score} (${shareBound})`;
+  }
+  return `${metric} score ${value.toFixed(2)} (${bound})`;
+}
+
+/**
+ * Check one rule against a scored period.
+ * Returns { matched, conditions: [{ metric, score, min, max, value, met }], stats }.
+ */
+function evaluateRule(rule, scored, { powder }) {
+  const thresholds = rule.conditions.filter(c => c.metric === 'shareAbove').map(c => c.score);
+  const stats = powder.computeScoreStats(scored.scores, thresholds);
+
+  const conditions = rule.conditions.map(c => {
+    const value = conditionValue(c, scored.weather, stats);
+    const met = value != null && (c.min == null || value >= c.min) && (c.max == null || value <= c.max);
+    return { metric: c.metric, score: c.score ?? null, min: c.min ?? null, max: c.max ?? null, value, met };
+  });
+
+  return { matched: conditions.every(c => c.met), conditions, stats };
+}
+
+/**
+ * JSON body POSTed to a rule's webhooks. `text` reads well on its own in
+ * chat tools that display that field (Slack, Mattermost).
+ */
+function alertPayload(rule, area, scored, evaluation, checkedAt, { utils }) {
+  const { weather } = scored;
+  const { wind, snowLine } = weather;
+  const publicUrl = process.env.PUBLIC_URL;
+  const mapUrl = publicUrl
+    ? `${publicUrl.replace(/\/$/, '')}/?area=${area.id}&hours=${rule.hours}`
+    : null;
+
+  const details = evaluation.conditions.map(c => describeCondition(c, utils)).join(', ');
+  return {
+    text: `${rule.name} — ${area.name}, last ${rule.hours}h: ${details}${mapUrl ? `\n${mapUrl}` : ''}`,
+    rule: { id: rule.id, name: rule.name },
+    area: { id: area.id, name: area.name },
+    hours: rule.hours,
+    checkedAt,
+    conditions: evaluation.conditions,
+    weather: {
+      totalSnowfall: weather.totalSnowfall,
+      confidence: weather.fusion.confidence,
+      rainSnowLineFt: snowLine ? snowLine.rainSnowLineFt : null,
+      wind: wind ? {
+        cardinal: utils.degreesToCardinal(wind.direction),
+        avgSpeed: wind.avgSpeed,
+        maxGust: wind.maxGust
+      } : null
+    },
+    stats: evaluation.stats,
+    mapUrl
+  };
+}
+
+/**
+ * POST a payload to one webhook. Resolves to { webhook, ok, status } or
+ * { webhook, ok: false, error }; never rejects.
+ */
+async function deliver(name, url, payload) {
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!res.ok) console.error(`Alerts: webhook ${name} returned ${res.status}`);
+    return { webhook: name, ok: res.ok, status: res.status };
+  } catch (err) {
+    console.error(`Alerts: webhook ${name} failed:`, err.message);
+    return { webhook: name, ok: false, error: err.message };
+  }
+}
+
+/**
+ * Evaluate every rule once, notifying and recording history.
+ * Resolves to the history entries written.
+ */
+async function checkAlerts(config) {
+  const modules = await loadSharedModules();
+  lastNotified ??= await loadLastNotified();
+
+  // Rules sharing an area and period share one scoring run; runs go one at
+  // a time so only one full grid is held at once
+  const groups = new Map();
+  for (const rule of config.rules) {
+    const key = `${rule.area}:${rule.hours}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(rule);
+  }
+
+  const entries = [];
+  for (const rules of groups.values()) {
+    const { area: areaId, hours } = rules[0];
+    let area;
+    let scored;
+    try {
+      area = await loadProfile(areaId);
+      scored = await scorePowder(area, hours);
+    } catch (err) {
+      console.error(`Alerts: scoring ${areaId} (${hours}h) failed:`, err.message);
+      for (const rule of rules) {
+        entries.push({ at: new Date().toISOString(), rule: rule.id, area: areaId, hours, error: err.message });
+      }
+      continue;
+    }
+
+    for (const rule of rules) {
+      const checkedAt = new Date().toISOString();
+      const evaluation = evaluateRule(rule, scored, modules);
+      const entry = {
+        at: checkedAt,
+        rule: rule.id,
+        area: area.id,
+        hours,
+        matched: evaluation.matched,
+        conditions: evaluation.conditions,
+        notified: []
+      };
+
+      const last = lastNotified.get(rule.id);
+      if (evaluation.matched && last != null && Date.now() - last < rule.cooldownHours * HOUR) {
+        entry.skipped = 'cooldown';
+      } else if (evaluation.matched) {
+        const payload = alertPayload(rule, area, scored, evaluation, checkedAt, modules);
+        entry.notified = await Promise.all(rule.webhooks.map(name => deliver(name, config.webhooks[name], payload)));
+        if (entry.notified.some(n => n.ok)) lastNotified.set(rule.id, Date.now());
+        console.log(`Alerts: ${rule.id} matched — notified ${entry.notified.filter(n => n.ok).length}/${rule.webhooks.length} webhooks`);
+      }
+      entries.push(entry);
+    }
+  }
+
+  for (const entry of entries) {
+    await appendHistory(entry).catch(err => console.error('Alerts: writing history failed:', err.message));
+  }
+  return entries;
+}
+
+// ── Scheduler ───────────────────────────────────────────────────────
+
+/**
+ * Start checking alerts every intervalMinutes (first check right away), if
+ * there is an alerts config. An invalid config is logged and leaves alerts off.
+ */
+async function startAlertScheduler() {
+  let config;
+  try {
+    config = await loadAlertsConfig();
+  } catch (err) {
+    console.error(`Alerts disabled — ${ALERTS_CONFIG}: ${err.message}`);
+    return;
+  }
+  if (!config) return;
+
+  let running = false;
+  const tick = async () => {
+    // A slow check (cold terrain, slow upstreams) shouldn't overlap the next
+    if (running) return;
+    running = true;
+    try {
+      await checkAlerts(config);
+    } catch (err) {
+      console.error('Alerts: check failed:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log(`Alerts: ${config.rules.length} rules, checking every ${config.intervalMinutes} min`);
+  setInterval(tick, config.intervalMinutes * MINUTE).unref();
+  tick();
+}
+
+module.exports = { startAlertScheduler, checkAlerts, loadAlertsConfig, parseAlertsConfig, evaluateRule };
+
+if (require.main === module) {
+  loadAlertsConfig()
+    .then(config => {
+      if (!config) throw new Error(`No alerts config at ${ALERTS_CONFIG}`);
+      return checkAlerts(config);
+    })
+    .then(entries => {
+      for (const entry of entries) console.log(JSON.stringify(entry));
+    })
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
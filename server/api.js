@@ -0,0 +1,273 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { TtlCache } = require('./cache');
+const { DATA_MODE, readFixture, writeFixture, fixtureUrl } = require('./fixtures');
+const { providersFor } = require('./providers');
+
+const PROFILES_DIR = path.join(__dirname, '..', 'profiles');
+const UPSTREAM_TIMEOUT_MS = 15000;
+// api.weather.gov turns away requests without an identifying User-Agent
+const USER_AGENT = process.env.UPSTREAM_USER_AGENT || 'powder-map (github.com/joewaltman/powder-map)';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// How long each kind of upstream response stays fresh, and how much longer
+// it may be served stale while a background refresh runs
+const FRESHNESS = {
+  snotel:   { ttl: 10 * MINUTE, staleWindow: HOUR },
+  wind:     { ttl: 10 * MINUTE, staleWindow: HOUR },
+  forecast: { ttl: 30 * MINUTE, staleWindow: 2 * HOUR },
+  resort:   { ttl: 10 * MINUTE, staleWindow: HOUR },
+  // Past date ranges don't change
+  archive:  { ttl: DAY, staleWindow: DAY },
+};
+
+const MAX_HOURS = 168;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const PROFILE_ID_RE = /^[a-z0-9-]+$/;
+
+const cache = new TtlCache();
+setInterval(() => cache.prune(), HOUR).unref();
+
+/**
+ * An error with an HTTP status, returned to the client as
+ * { error: { source, status, message } }.
+ */
+class ApiError extends Error {
+  constructor(status, message, source = 'proxy') {
+    super(message);
+    this.status = status;
+    this.source = source;
+  }
+}
+
+// The browser modules are ESM; load them once on first use
+let sharedModules = null;
+function loadSharedModules() {
+  sharedModules ??= Promise.all([
+    import('../js/config.js'),
+    import('../js/weather.js'),
+    import('../js/profiles.js'),
+    import('../js/terrain.js'),
+    import('../js/pipeline.js'),
+    import('../js/powder.js'),
+    import('../js/overlay.js'),
+    import('../js/utils.js'),
+    import('../js/snowfall-grid.js'),
+  ]).then(([config, weather, profiles, terrain, pipeline, powder, overlay, utils, snowfallGrid]) =>
+    ({ config, weather, profiles, terrain, pipeline, powder, overlay, utils, snowfallGrid }));
+  return sharedModules;
+}
+
+/**
+ * Read and validate an area profile from profiles/<id>.json.
+ */
+async function loadProfile(id) {
+  if (!id || !PROFILE_ID_RE.test(id)) throw new ApiError(400, 'Missing or invalid area');
+
+  const { profiles } = await loadSharedModules();
+  let raw;
+  try {
+    raw = await fs.readFile(path.join(PROFILES_DIR, `${id}.json`), 'utf8');
+  } catch {
+    throw new ApiError(404, `Unknown area "${id}"`);
+  }
+  return profiles.normalizeProfile(JSON.parse(raw));
+}
+
+function parseHours(value) {
+  const hours = Number(value);
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_HOURS) {
+    throw new ApiError(400, `hours must be an integer from 1 to ${MAX_HOURS}`);
+  }
+  return hours;
+}
+
+function parseDateRange(params) {
+  const start = params.get('start');
+  const end = params.get('end');
+  if (!DATE_RE.test(start) || !DATE_RE.test(end) || end < start) {
+    throw new ApiError(400, 'start and end must be YYYY-MM-DD with start <= end');
+  }
+  return { start, end };
+}
+
+/**
+ * Fetch an upstream URL and return its body as text (a Buffer for 'binary'),
+ * normalizing network failures, timeouts and non-2xx responses into ApiErrors.
+ *
+ * @param {string} format - 'text', 'json' (checked to parse) or 'binary'
+ */
+async function fetchUpstream(source, url, format) {
+  let res;
+  try {
+    res = await fetch(url, {
+      headers: { 'User-Agent': USER_AGENT },
+      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)
+    });
+  } catch (err) {
+    const timedOut = err.name === 'TimeoutError';
+    throw new ApiError(timedOut ? 504 : 502,
+      `${source} ${timedOut ? 'timed out' : `unreachable: ${err.message}`}`, source);
+  }
+  if (!res.ok) throw new ApiError(502, `${source} returned ${res.status}`, source);
+
+  if (format === 'binary') return Buffer.from(await res.arrayBuffer());
+
+  const body = await res.text();
+  if (format === 'json') {
+    try {
+      JSON.parse(body);
+    } catch {
+      throw new ApiError(502, `${source} returned malformed JSON`, source);
+    }
+  }
+  return body;
+}
+
+// ── Routes ──────────────────────────────────────────────────────────
+// Each turns request parameters into a provider query (see providers.js)
+
+const ROUTES = {
+  snotel(params, area, { profiles }) {
+    const site = params.has('station') ? profiles.findSnotelSite(area, params.get('station')) : area.snotel;
+    if (!site) {
+      throw new ApiError(400, params.has('station')
+        ? `Station "${params.get('station')}" is not listed for area "${area.id}"`
+        : `Area "${area.id}" has no SNOTEL station of its own; name a nearby one`);
+    }
+
+    if (params.has('start')) return { site, ...parseDateRange(params) };
+    return { site, hours: parseHours(params.get('hours')) };
+  },
+
+  wind(params) {
+    if (params.has('forecast')) return { forecast: parseHours(params.get('forecast')) };
+    if (params.has('start')) return parseDateRange(params);
+    return { hours: parseHours(params.get('hours')) };
+  },
+
+  resort(params, area) {
+    if (!area.resort) throw new ApiError(404, `Area "${area.id}" has no resort API`);
+    return {};
+  },
+};
+
+function sendError(res, err) {
+  const status = err instanceof ApiError ? err.status : 500;
+  const source = err instanceof ApiError ? err.source : 'proxy';
+  if (status >= 500) console.error(`API ${source} error:`, err.message);
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: { source, status, message: err.message } }));
+}
+
+/**
+ * An upstream body: from the fixture in replay mode, otherwise from the
+ * network, saving a fixture in record mode (see fixtures.js).
+ * Resolves to { body, fetchedAt? } — fetchedAt is the recording time in replay.
+ */
+async function loadUpstream(source, url, format) {
+  if (DATA_MODE === 'replay') {
+    const fixture = await readFixture(url);
+    if (!fixture) throw new ApiError(503, `${source}: no recorded fixture for ${fixtureUrl(url)}`, source);
+    return fixture;
+  }
+
+  const body = await fetchUpstream(source, url, format);
+  if (DATA_MODE === 'record') {
+    writeFixture(source, url, body).catch(err => console.error(`Recording ${source} failed:`, err.message));
+  }
+  return { body };
+}
+
+/**
+ * Fetch data through the area's providers, falling back down the list when
+ * one fails.
+ *
+ * @param {string} name - Route name: snotel, wind or resort
+ * @param {URLSearchParams} params - Route parameters (hours, start/end, forecast, station)
+ * @param {Object} area - Normalized area profile
+ * Resolves to { value (canonical body text), status, fetchedAt, json, provider,
+ *   recordedAt (replay only) }
+ */
+async function fetchCached(name, params, area) {
+  const modules = await loadSharedModules();
+  const query = ROUTES[name](params, area, modules);
+  const providers = providersFor(name, query, area);
+  if (providers.length === 0) throw new ApiError(404, `No ${name} provider for area "${area.id}"`);
+
+  let lastError;
+  for (const provider of providers) {
+    try {
+      return await fetchFrom(provider, name, query, area, modules);
+    } catch (err) {
+      lastError = err;
+      if (provider !== providers[providers.length - 1]) {
+        console.warn(`${provider.source} failed (${err.message}), falling back`);
+      }
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Run one provider: fetch its upstream response(s) through the cache, then
+ * parse. The result carries the oldest fetch time of the responses used.
+ */
+async function fetchFrom(provider, name, query, area, modules) {
+  let status = 'HIT';
+  let fetchedAt = Infinity;
+  let recordedAt = null;
+
+  const get = async (url, { json, freshness, source = provider.source }) => {
+    const result = await cache.get(url, () => loadUpstream(source, url, json ? 'json' : 'text'), FRESHNESS[freshness]);
+    if (result.status !== 'HIT') status = result.status;
+    fetchedAt = Math.min(fetchedAt, result.fetchedAt);
+    if (result.value.fetchedAt) recordedAt = result.value.fetchedAt;
+    return result.value.body;
+  };
+
+  let value;
+  try {
+    const raw = await provider.fetch(query, area, get, modules);
+    value = provider.parse(raw, query, area, modules);
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    throw new ApiError(502, `${provider.source} ${err.message}`, provider.source);
+  }
+  return { value, status, fetchedAt, json: name !== 'snotel', provider: provider.id, recordedAt };
+}
+
+/**
+ * Handle /api/snotel, /api/wind and /api/resort.
+ * Returns false if the path isn't a proxy route.
+ */
+async function handleProxyRoute(req, res, url) {
+  const name = url.pathname.replace(/^\/api\//, '');
+  if (!Object.hasOwn(ROUTES, name)) return false;
+
+  try {
+    const area = await loadProfile(url.searchParams.get('area'));
+    const { value, status, fetchedAt, json, provider, recordedAt } = await fetchCached(name, url.searchParams, area);
+
+    res.writeHead(200, {
+      'Content-Type': json ? 'application/json' : 'text/csv; charset=utf-8',
+      'X-Cache': status,
+      'X-Fetched-At': new Date(fetchedAt).toISOString(),
+      'X-Provider': provider,
+      // When the upstream response was recorded, in replay mode
+      ...(recordedAt && { 'X-Recorded-At': recordedAt }),
+    });
+    res.end(value);
+  } catch (err) {
+    sendError(res, err);
+  }
+  return true;
+}
+
+module.exports = {
+  handleProxyRoute, fetchCached, loadUpstream, sendError, loadProfile, loadSharedModules, parseHours,
+  ApiError, FRESHNESS
+};
@@ -0,0 +1,79 @@
+/**
+ * In-memory TTL cache with stale-while-revalidate and in-flight de-duplication.
+ *
+ * - Fresh (age < ttl): served from memory.
+ * - Stale (ttl <= age < ttl + staleWindow): served from memory while one
+ *   background refresh runs.
+ * - Expired or missing: callers wait for the loader; concurrent callers for
+ *   the same key share one upstream request.
+ * - If a load fails and any previous value exists, that value is served
+ *   (stale-if-error) rather than the error.
+ */
+class TtlCache {
+  constructor() {
+    this.entries = new Map();   // key → { value, fetchedAt, ttl, staleWindow }
+    this.inFlight = new Map();  // key → Promise<value>
+  }
+
+  /**
+   * Get a value, loading it with `loader()` when needed.
+   * Resolves to { value, status, fetchedAt } where status is HIT, STALE, MISS
+   * or ERROR-STALE (a failed refresh served the previous value).
+   */
+  async get(key, loader, { ttl, staleWindow = 0 }) {
+    const entry = this.entries.get(key);
+    const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+    if (entry && age < ttl) {
+      return { value: entry.value, status: 'HIT', fetchedAt: entry.fetchedAt };
+    }
+
+    if (entry && age < ttl + staleWindow) {
+      this.refresh(key, loader, { ttl, staleWindow }).catch(err => {
+        console.warn(`Background refresh failed for ${key}: ${err.message}`);
+      });
+      return { value: entry.value, status: 'STALE', fetchedAt: entry.fetchedAt };
+    }
+
+    try {
+      const value = await this.refresh(key, loader, { ttl, staleWindow });
+      return { value, status: 'MISS', fetchedAt: this.entries.get(key).fetchedAt };
+    } catch (err) {
+      if (entry) {
+        console.warn(`Serving expired ${key} after refresh failure: ${err.message}`);
+        return { value: entry.value, status: 'ERROR-STALE', fetchedAt: entry.fetchedAt };
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Run the loader for a key, sharing the request with concurrent callers.
+   */
+  refresh(key, loader, { ttl, staleWindow }) {
+    if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(value => {
+        this.entries.set(key, { value, fetchedAt: Date.now(), ttl, staleWindow });
+        return value;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Drop entries past their stale window so the map doesn't grow forever.
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (now - entry.fetchedAt >= entry.ttl + entry.staleWindow) this.entries.delete(key);
+    }
+  }
+}
+
+module.exports = { TtlCache };
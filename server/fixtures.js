@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+/**
+ * Record/replay of raw upstream responses, for reproducing a past map exactly.
+ *
+ * DATA_MODE=record serves live data and saves every upstream body (SNOTEL,
+ * Open-Meteo, NWS, resort, and the Terrain-RGB tiles the server decodes)
+ * into a session directory named for when recording started:
+ * FIXTURES_DIR/<session>/<host>/<hash of URL>.json. Recent-window URLs are
+ * relative to now ("last 24 hours"), so each session keeps its own copy.
+ *
+ * DATA_MODE=replay serves only from one session and never touches the
+ * network: FIXTURES_SESSION names it, or the latest one is used. Fixture
+ * files are { url, source, fetchedAt, encoding?, body } and safe to read or
+ * hand-edit; access tokens are stripped from the URLs they're keyed by.
+ *
+ * Replay covers the proxy (/api/snotel, /api/wind, /api/resort) and the
+ * headless powder API and alerts. The browser still draws its basemap and
+ * terrain from Mapbox and its own tile cache.
+ */
+
+const DATA_MODE = process.env.DATA_MODE || 'live'; // 'live' | 'record' | 'replay'
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(__dirname, '..', 'fixtures');
+
+// Query parameters that carry credentials, never written to a fixture
+const SECRET_PARAMS = ['access_token'];
+
+if (!['live', 'record', 'replay'].includes(DATA_MODE)) {
+  throw new Error(`DATA_MODE must be live, record or replay (got "${DATA_MODE}")`);
+}
+
+const SESSION_DIR = DATA_MODE === 'live' ? null : path.join(FIXTURES_DIR, sessionName());
+
+/**
+ * The session to record into (a new one, e.g. 2026-01-16T14-05-00Z) or to
+ * replay (FIXTURES_SESSION, else the most recent).
+ */
+function sessionName() {
+  if (DATA_MODE === 'record') {
+    return process.env.FIXTURES_SESSION || `${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}Z`;
+  }
+  if (process.env.FIXTURES_SESSION) return process.env.FIXTURES_SESSION;
+
+  const sessions = fs.existsSync(FIXTURES_DIR)
+    ? fs.readdirSync(FIXTURES_DIR, { withFileTypes: true }).filter(e => e.isDirectory()).map(e => e.name).sort()
+    : [];
+  if (sessions.length === 0) throw new Error(`DATA_MODE=replay but nothing is recorded in ${FIXTURES_DIR}`);
+  return sessions[sessions.length - 1];
+}
+
+/**
+ * An upstream URL without its credentials, as fixtures are keyed and stored.
+ */
+function fixtureUrl(url) {
+  const parsed = new URL(url);
+  for (const param of SECRET_PARAMS) parsed.searchParams.delete(param);
+  return parsed.toString();
+}
+
+function fixturePath(url) {
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+  return path.join(SESSION_DIR, new URL(url).hostname, `${hash}.json`);
+}
+
+/**
+ * The recorded response for an upstream URL, or null if there isn't one.
+ * Resolves to { url, source, fetchedAt, body } with binary bodies as Buffers.
+ */
+async function readFixture(url) {
+  let fixture;
+  try {
+    fixture = JSON.parse(await fsp.readFile(fixturePath(fixtureUrl(url)), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  if (fixture.encoding === 'base64') fixture.body = Buffer.from(fixture.body, 'base64');
+  return fixture;
+}
+
+/**
+ * Save an upstream response body (text or Buffer) for later replay.
+ */
+async function writeFixture(source, url, body) {
+  const key = fixtureUrl(url);
+  const file = fixturePath(key);
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+
+  const fixture = { url: key, source, fetchedAt: new Date().toISOString() };
+  if (Buffer.isBuffer(body)) {
+    fixture.encoding = 'base64';
+    fixture.body = body.toString('base64');
+  } else {
+    fixture.body = body;
+  }
+  await fsp.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+module.exports = { DATA_MODE, FIXTURES_DIR, SESSION_DIR, readFixture, writeFixture, fixtureUrl };
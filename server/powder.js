@@ -0,0 +1,230 @@
+const { PNG } = require('pngjs');
+const { TtlCache } = require('./cache');
+const {
+  fetchCached, loadUpstream, sendError, loadProfile, loadSharedModules, parseHours, ApiError, FRESHNESS
+} = require('./api');
+const { DATA_MODE } = require('./fixtures');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Decoded terrain per area; bounds rarely change, so keep it for a week
+const TERRAIN_FRESHNESS = { ttl: 7 * DAY, staleWindow: 0 };
+
+const DEFAULT_IMAGE_SIZE = 1024;
+const MAX_IMAGE_SIZE = 4096;
+
+const terrainCache = new TtlCache();
+// Scored grids per area and period; every image size is drawn from one
+const scoreCache = new TtlCache();
+setInterval(() => {
+  terrainCache.prune();
+  scoreCache.prune();
+}, HOUR).unref();
+
+/**
+ * Fetch one Terrain-RGB tile and decode it with pngjs (no canvas in Node).
+ * Tiles are recorded and replayed with the weather (fixtures.js).
+ */
+async function fetchTerrainTileNode(tx, ty, zoom, token, { terrain }) {
+  const { body } = await loadUpstream('Mapbox', terrain.terrainTileUrl(tx, ty, zoom, token), 'binary');
+  const png = PNG.sync.read(body);
+  return { elevations: terrain.decodeTerrainRGB(png.data, png.width), size: png.width };
+}
+
+/**
+ * Stitched terrain grid for an area, built once and kept in memory.
+ */
+async function loadTerrain(area, modules) {
+  const { config, terrain } = modules;
+  // Replayed tiles are keyed without the token, so replay needs none
+  const token = process.env.MAPBOX_TOKEN;
+  if (!token && DATA_MODE !== 'replay') throw new ApiError(503, 'Server has no MAPBOX_TOKEN for terrain tiles');
+
+  const gridBounds = terrain.getGridBounds(area.bounds, config.TERRAIN_ZOOM);
+  const { value } = await terrainCache.get(
+    `${area.id}:${JSON.stringify(gridBounds)}`,
+    () => terrain.buildTerrainGrid(area.bounds, config.TERRAIN_ZOOM,
+      (tx, ty) => fetchTerrainTileNode(tx, ty, config.TERRAIN_ZOOM, token, modules)),
+    TERRAIN_FRESHNESS
+  );
+  return value;
+}
+
+/**
+ * Fetch and reduce the period's weather through the proxy cache. Each source
+ * degrades to null on failure, as in the browser.
+ */
+async function loadWeather(area, hours, { weather, pipeline, snowfallGrid }) {
+  const params = new URLSearchParams({ hours });
+  const logged = (label, promise) => promise.catch(err => {
+    console.error(`Powder API: ${label} failed:`, err.message);
+    return null;
+  });
+
+  const nearby = Promise.all(area.nearbySnotel.map(site =>
+    logged(`SNOTEL ${site.name}`, fetchCached('snotel', new URLSearchParams({ hours, station: site.station }), area)
+      .then(r => ({ site, summary: weather.summarizeSnotel(area, r.value, site) })))
+  ));
+
+  const [snotel, windData, resort] = await Promise.all([
+    area.snotel
+      ? logged('SNOTEL', fetchCached('snotel', params, area)
+        .then(r => weather.summarizeSnotel(area, r.value)))
+      : null,
+    logged('Wind', fetchCached('wind', params, area)
+      .then(r => weather.trimWindData(JSON.parse(r.value), hours))),
+    area.resort
+      ? logged('Resort API', fetchCached('resort', params, area)
+        .then(r => JSON.parse(r.value)))
+      : null,
+  ]);
+
+  const resortSnowfall = weather.getResortSnowForPeriod(resort, hours);
+  const stations = snowfallGrid.snowfallStations(area, snotel, (await nearby).filter(Boolean));
+  return { snotel, summary: pipeline.summarizeWeather(snotel, windData, resortSnowfall, null, stations) };
+}
+
+/**
+ * Fetch weather and terrain for an area and period and score every pixel.
+ * Periods that can't be scored (unscoredReason) get all-zero scores.
+ * Resolves to { terrain, bounds, snotel, weather, reason, scores }.
+ */
+async function scorePowder(area, hours) {
+  const modules = await loadSharedModules();
+  const { config, terrain: terrainModule, pipeline } = modules;
+
+  const [terrain, { snotel, summary: weather }] = await Promise.all([
+    loadTerrain(area, modules),
+    loadWeather(area, hours, modules),
+  ]);
+
+  const bounds = terrainModule.getGridBounds(area.bounds, config.TERRAIN_ZOOM);
+  const reason = pipeline.unscoredReason(weather);
+  const scores = reason
+    ? new Float32Array(terrain.width * terrain.height)
+    : pipeline.scoreTerrain(terrain, weather, bounds);
+
+  return { terrain, bounds, snotel, weather, reason, scores };
+}
+
+/**
+ * Scores for an area and period through the cache, with their stats.
+ * Resolves to { value: { ...scorePowder result, stats, generatedAt }, status }.
+ */
+async function cachedScores(area, hours) {
+  const { powder } = await loadSharedModules();
+  return scoreCache.get(`${area.id}:${hours}`, async () => {
+    const scored = await scorePowder(area, hours);
+    return { ...scored, stats: powder.computeScoreStats(scored.scores), generatedAt: new Date().toISOString() };
+  }, FRESHNESS.snotel);
+}
+
+/**
+ * Render scored terrain (cachedScores) as a PNG no wider or taller than imageSize.
+ */
+async function renderPowderPng({ terrain, scores }, imageSize) {
+  const { overlay } = await loadSharedModules();
+  const rgba = overlay.scoresToRGBA(scores, terrain.width, terrain.height, imageSize);
+  const png = new PNG({ width: rgba.width, height: rgba.height });
+  png.data = Buffer.from(rgba.data.buffer);
+  return PNG.sync.write(png);
+}
+
+/**
+ * JSON summary of scored terrain (cachedScores), pointing at its PNG.
+ */
+async function powderSummary(area, hours, scored, imageSize) {
+  const { powder, overlay, utils } = await loadSharedModules();
+  const { terrain, bounds, snotel, weather, reason, stats, generatedAt } = scored;
+  const { wind, snowLine, windLoading } = weather;
+
+  return {
+    area: { id: area.id, name: area.name },
+    hours,
+    generatedAt,
+    bounds,
+    grid: { width: terrain.width, height: terrain.height, cellSize: terrain.cellSize },
+    image: {
+      url: `/api/powder.png?area=${area.id}&hours=${hours}&size=${imageSize}`,
+      ...overlay.overlaySize(terrain.width, terrain.height, imageSize)
+    },
+    weather: {
+      totalSnowfall: weather.totalSnowfall,
+      snotelSnowfall: weather.snotelSnowfall,
+      resortSnowfall: weather.resortSnowfall,
+      totalPrecip: weather.totalPrecip,
+      confidence: weather.fusion.confidence,
+      snowfallNotes: weather.fusion.notes,
+      dataWarnings: weather.dataWarnings,
+      stations: weather.stations.map(s => ({ station: s.station, name: s.name, snowfall: s.snowfall })),
+      stationTempF: snotel ? snotel.tempF : null,
+      snowDensity: weather.snowDensity,
+      snowLiquidRatio: snotel ? snotel.snowRatio : null,
+      rainSnowLineFt: snowLine ? snowLine.rainSnowLineFt : null,
+      freezingLevelFt: snowLine ? snowLine.freezingLevelFt : null,
+      sunHoursSinceStorm: weather.solar ? weather.solar.sunHours : null,
+      wind: wind ? {
+        direction: wind.direction,
+        cardinal: utils.degreesToCardinal(wind.direction),
+        avgSpeed: wind.avgSpeed,
+        maxGust: wind.maxGust
+      } : null,
+      loadedAspects: windLoading
+        ? powder.findLoadedAspects(windLoading).map(p => utils.degreesToCardinal(p.aspect))
+        : []
+    },
+    scored: !reason,
+    reason,
+    stats
+  };
+}
+
+function parseImageSize(value) {
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_IMAGE_SIZE) {
+    throw new ApiError(400, `size must be an integer from 1 to ${MAX_IMAGE_SIZE}`);
+  }
+  return size;
+}
+
+/**
+ * Handle GET /api/powder (JSON summary) and GET /api/powder.png (overlay image).
+ * Query: area (default profile), hours (default 24), size (longest image side).
+ * Returns false if the path isn't a powder route.
+ */
+async function handlePowderRoute(req, res, url) {
+  const asPng = url.pathname === '/api/powder.png';
+  if (!asPng && url.pathname !== '/api/powder') return false;
+
+  try {
+    const { config } = await loadSharedModules();
+    const params = url.searchParams;
+    const area = await loadProfile(params.get('area') || config.DEFAULT_PROFILE_ID);
+    const hours = parseHours(params.get('hours') || '24');
+    const imageSize = params.has('size') ? parseImageSize(params.get('size')) : DEFAULT_IMAGE_SIZE;
+
+    const { value, status } = await cachedScores(area, hours);
+
+    if (asPng) {
+      const png = await renderPowderPng(value, imageSize);
+      const { north, south, east, west } = value.bounds;
+      res.writeHead(200, {
+        'Content-Type': 'image/png',
+        'X-Cache': status,
+        // west,south,east,north in WGS84 degrees (EPSG:4326), like a bbox
+        'X-Bounds': [west, south, east, north].join(','),
+      });
+      res.end(png);
+    } else {
+      const summary = await powderSummary(area, hours, value, imageSize);
+      res.writeHead(200, { 'Content-Type': 'application/json', 'X-Cache': status });
+      res.end(JSON.stringify(summary));
+    }
+  } catch (err) {
+    sendError(res, err);
+  }
+  return true;
+}
+
+module.exports = { handlePowderRoute, scorePowder, loadTerrain, loadWeather };
@@ -0,0 +1,223 @@
+/**
+ * Data providers behind the /api/ proxy, with fetching kept apart from
+ * parsing. Each supplies one kind of data from one upstream:
+ *
+ *   {
+ *     id, source,                  // registry id; name used in errors and logs
+ *     supports(query, area),       // whether it can answer this query
+ *     fetch(query, area, get, modules),  // raw upstream response(s), via get()
+ *     parse(raw, query, area, modules)   // → the kind's canonical body (string)
+ *   }
+ *
+ * get(url, { json, freshness, source }) fetches through the proxy cache (and
+ * fixture record/replay); freshness names an entry in api.js FRESHNESS.
+ *
+ * Canonical bodies, whatever the provider:
+ *   snotel — Report Generator CSV (see summarizeSnotel)
+ *   wind   — Open-Meteo-style JSON: { latitude, longitude, elevation,
+ *            utc_offset_seconds, hourly: { time, precipitation, temperature_2m,
+ *            wind_speed_10m, wind_direction_10m, wind_gusts_10m,
+ *            direct_normal_irradiance? }, warnings? }. Without
+ *            direct_normal_irradiance the sun model assumes clear skies, and
+ *            without past days sun and lift hours count from the first hour
+ *            instead of the last storm; a provider that leaves them out says so
+ *            in `warnings`, which reach the panel's data warnings
+ *   resort — { snow12h, snow24h, snow48h, baseDepth } in inches
+ *
+ * Queries: snotel { site, hours } or { site, start, end }; wind { hours },
+ * { start, end } or { forecast }; resort {}.
+ */
+
+const KMH_TO_MPH = 0.621371;
+const MM_TO_IN = 1 / 25.4;
+const HOUR = 3600000;
+
+// ── SNOTEL ──────────────────────────────────────────────────────────
+
+const nrcsSnotel = {
+  id: 'nrcs',
+  source: 'SNOTEL',
+  supports: () => true,
+
+  fetch(query, area, get, { weather }) {
+    return query.start
+      ? get(weather.snotelRangeUrl(area, query.start, query.end, query.site), { json: false, freshness: 'archive' })
+      : get(weather.snotelUrl(area, query.hours, query.site), { json: false, freshness: 'snotel' });
+  },
+
+  parse(text) {
+    // Unknown stations and empty ranges come back as comments and a header only
+    if (!/^\d{4}-\d{2}-\d{2}/m.test(text)) throw new Error('returned no data rows');
+    return text;
+  },
+};
+
+// ── Hourly weather ──────────────────────────────────────────────────
+
+const openMeteo = {
+  id: 'open-meteo',
+  source: 'Open-Meteo',
+  supports: () => true,
+
+  fetch(query, area, get, { weather }) {
+    if (query.forecast) {
+      return get(weather.forecastUrl(area, query.forecast), { json: true, freshness: 'forecast' });
+    }
+    if (query.start) {
+      return get(weather.windArchiveUrl(area, query.start, query.end),
+        { json: true, freshness: 'archive', source: 'Open-Meteo archive' });
+    }
+    return get(weather.windUrl(area, query.hours), { json: true, freshness: 'wind' });
+  },
+
+  parse(body) {
+    const data = JSON.parse(body);
+    if (!data.hourly || !Array.isArray(data.hourly.time)) throw new Error('returned no hourly data');
+    return body;
+  },
+};
+
+/**
+ * NWS gridpoint forecast (api.weather.gov), converted to Open-Meteo's shape.
+ * Forecast only: gridpoints barely reach into the past, so recent windows
+ * and replays have no fallback. The grid has no irradiance and no past
+ * days either, which the body's warnings point out.
+ */
+const nwsGridpoint = {
+  id: 'nws',
+  source: 'NWS',
+  supports: query => query.forecast != null,
+
+  async fetch(query, area, get, { config }) {
+    // NWS rejects coordinates with more than four decimals
+    const point = `${area.wind.lat.toFixed(4)},${area.wind.lon.toFixed(4)}`;
+    const { properties } = JSON.parse(await get(`${config.NWS_POINTS_URL}${point}`, { json: true, freshness: 'archive' }));
+    if (!properties || !properties.forecastGridData) throw new Error('has no forecast grid for this point');
+
+    const grid = await get(properties.forecastGridData, { json: true, freshness: 'forecast' });
+    return { grid, timeZone: properties.timeZone };
+  },
+
+  parse({ grid, timeZone }, query, area) {
+    const { properties } = JSON.parse(grid);
+
+    // Hours covered by the temperature series, the densest of the layers
+    const temps = expandSeries(properties.temperature);
+    if (temps.size === 0) throw new Error('returned no hourly data');
+    const hours = [...temps.keys()].sort((a, b) => a - b);
+    const offset = utcOffsetSeconds(timeZone, hours[0]);
+
+    const precip = expandSeries(properties.quantitativePrecipitation, true);
+    const speed = expandSeries(properties.windSpeed);
+    const direction = expandSeries(properties.windDirection);
+    const gusts = expandSeries(properties.windGust);
+    const round = v => (v == null ? null : Math.round(v * 100) / 100);
+
+    // Open-Meteo labels each hour by its end, in local time
+    const hourly = {
+      time: hours.map(t => new Date(t + HOUR + offset * 1000).toISOString().slice(0, 16)),
+      precipitation: hours.map(t => round((precip.get(t) ?? 0) * MM_TO_IN)),
+      temperature_2m: hours.map(t => round(temps.get(t) * 9 / 5 + 32)),
+      wind_speed_10m: hours.map(t => round(speed.has(t) ? speed.get(t) * KMH_TO_MPH : null)),
+      wind_direction_10m: hours.map(t => direction.get(t) ?? null),
+      wind_gusts_10m: hours.map(t => round(gusts.has(t) ? gusts.get(t) * KMH_TO_MPH : null)),
+    };
+
+    return JSON.stringify({
+      latitude: area.wind.lat,
+      longitude: area.wind.lon,
+      elevation: properties.elevation ? properties.elevation.value : null,
+      utc_offset_seconds: offset,
+      timezone: timeZone,
+      hourly,
+      warnings: [
+        'NWS forecast has no sunshine data — sun crust assumes clear skies',
+        'NWS forecast has no past days — sun and lift hours count from now, not from the last storm'
+      ]
+    });
+  },
+};
+
+/**
+ * Spread an NWS layer ({ values: [{ validTime: '2026-01-15T06:00:00+00:00/PT6H', value }] })
+ * over whole UTC hours. Amounts (precipitation) are split evenly across
+ * their interval; everything else holds for each hour of it.
+ * Returns Map(hour start epoch ms → value).
+ */
+function expandSeries(layer, amount = false) {
+  const series = new Map();
+  if (!layer || !Array.isArray(layer.values)) return series;
+
+  for (const { validTime, value } of layer.values) {
+    if (value == null) continue;
+    const [start, duration] = validTime.split('/');
+    const from = Date.parse(start);
+    const hours = durationHours(duration);
+    for (let h = 0; h < hours; h++) series.set(from + h * HOUR, amount ? value / hours : value);
+  }
+  return series;
+}
+
+/**
+ * Whole hours in an ISO 8601 duration such as PT6H or P1DT12H.
+ */
+function durationHours(duration) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(duration || '');
+  if (!match) return 1;
+  const [, days = 0, hours = 0] = match;
+  return Math.max(1, Number(days) * 24 + Number(hours));
+}
+
+/**
+ * A time zone's offset from UTC (seconds) at a moment, e.g. -25200 for MST.
+ */
+function utcOffsetSeconds(timeZone, at) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(at)
+    .find(part => part.type === 'timeZoneName').value; // "GMT-07:00" or "GMT"
+  const match = /GMT([+-])(\d{2}):(\d{2})/.exec(name);
+  if (!match) return 0;
+  const seconds = Number(match[2]) * 3600 + Number(match[3]) * 60;
+  return match[1] === '-' ? -seconds : seconds;
+}
+
+// ── Resort reports ──────────────────────────────────────────────────
+
+const resortApi = {
+  id: 'resort',
+  source: 'Resort API',
+  supports: (query, area) => area.resort != null,
+
+  fetch(query, area, get) {
+    return get(area.resort.url, { json: true, freshness: 'resort' });
+  },
+
+  parse(body, query, area, { weather }) {
+    return JSON.stringify(weather.parseResortSnow(area, JSON.parse(body)));
+  },
+};
+
+// ── Registry ────────────────────────────────────────────────────────
+
+// Providers per kind of data, in fallback order. Only forecasts fall back
+// to NWS; recent windows and replays have Open-Meteo alone
+const PROVIDERS = {
+  snotel: [nrcsSnotel],
+  wind: [openMeteo, nwsGridpoint],
+  resort: [resortApi],
+};
+
+/**
+ * Providers to try for a query, in order. An area profile may reorder or
+ * narrow a kind with providers: { wind: ['nws', 'open-meteo'] }.
+ */
+function providersFor(kind, query, area) {
+  const registered = PROVIDERS[kind];
+  const order = area.providers && area.providers[kind];
+  const ordered = order
+    ? order.map(id => registered.find(p => p.id === id)).filter(Boolean)
+    : registered;
+  return ordered.filter(p => p.supports(query, area));
+}
+
+module.exports = { PROVIDERS, providersFor, expandSeries, utcOffsetSeconds };
@@ -0,0 +1,29 @@
+const http = require('http');
+
+/**
+ * Local webhook receiver for trying out alerts: logs every POSTed JSON body
+ * and answers 204. Point a webhook in alerts.json at
+ * http://localhost:3100/ and run `npm run webhook-receiver`.
+ */
+
+const PORT = process.env.WEBHOOK_RECEIVER_PORT || 3100;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+    res.writeHead(req.method === 'POST' ? 204 : 405);
+    res.end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on port ${PORT}`);
+});
@@ -0,0 +1,138 @@
+/**
+ * Service worker: keeps the app usable with no signal.
+ *
+ * - App shell, area profiles and Mapbox GL assets are precached on install
+ * - Same-origin files are network-first (so deploys show up), cache fallback
+ * - Mapbox styles, sprites, glyphs and basemap tiles are cached as they're
+ *   viewed, network-first, capped at MAPBOX_CACHE_MAX_ENTRIES
+ * - /api/ and Terrain-RGB requests pass straight through: weather falls back
+ *   to IndexedDB snapshots (js/snapshots.js), terrain to the tile cache
+ *   (js/terrain-cache.js)
+ *
+ * Bump CACHE_VERSION when SHELL changes.
+ */
+
+const CACHE_VERSION = 'v22';
+const SHELL_CACHE = `powder-map-shell-${CACHE_VERSION}`;
+const MAPBOX_CACHE = `powder-map-mapbox-${CACHE_VERSION}`;
+const MAPBOX_CACHE_MAX_ENTRIES = 1500;
+
+const SHELL = [
+  './',
+  'index.html',
+  'style.css',
+  'env.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'profiles/index.json',
+  'js/config.js',
+  'js/density.js',
+  'js/export.js',
+  'js/fusion.js',
+  'js/main.js',
+  'js/model.js',
+  'js/overlay.js',
+  'js/pipeline.js',
+  'js/powder-worker.js',
+  'js/powder.js',
+  'js/profiles.js',
+  'js/runs.js',
+  'js/score-layer.js',
+  'js/shelter.js',
+  'js/snapshots.js',
+  'js/snowfall-grid.js',
+  'js/snowline.js',
+  'js/solar.js',
+  'js/terrain-cache.js',
+  'js/terrain.js',
+  'js/traffic.js',
+  'js/url-state.js',
+  'js/utils.js',
+  'js/weather.js',
+  'js/worker-client.js',
+  'js/zones.js',
+];
+
+const MAPBOX_GL_ASSETS = [
+  'https://api.mapbox.com/mapbox-gl-js/v3.4.0/mapbox-gl.js',
+  'https://api.mapbox.com/mapbox-gl-js/v3.4.0/mapbox-gl.css',
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll([...SHELL, ...MAPBOX_GL_ASSETS]);
+
+    // Every area profile, so switching areas works offline too
+    const index = await (await cache.match('profiles/index.json')).json();
+    await cache.addAll(index.map(({ id }) => `profiles/${encodeURIComponent(id)}.json`));
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, MAPBOX_CACHE];
+    for (const key of await caches.keys()) {
+      if (key.startsWith('powder-map-') && !keep.includes(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/api/')) return;
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+    return;
+  }
+
+  if (url.hostname === 'api.mapbox.com' || url.hostname.endsWith('.tiles.mapbox.com')) {
+    if (MAPBOX_GL_ASSETS.includes(request.url)) {
+      event.respondWith(cacheFirst(request, SHELL_CACHE));
+    } else if (!url.pathname.includes('terrain-rgb')) {
+      event.respondWith(networkFirst(request, MAPBOX_CACHE, MAPBOX_CACHE_MAX_ENTRIES));
+    }
+  }
+});
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request, { cacheName });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) (await caches.open(cacheName)).put(request, response.clone());
+  return response;
+}
+
+async function networkFirst(request, cacheName, maxEntries) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+      if (maxEntries) trimCache(cache, maxEntries);
+    }
+    return response;
+  } catch (err) {
+    // Page URLs carry ?area=…; the shell is the same for every area
+    const cached = await caches.match(request, { cacheName, ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/**
+ * Drop the oldest entries (cache keys come back in insertion order).
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - maxEntries; i++) {
+    await cache.delete(keys[i]);
+  }
+}
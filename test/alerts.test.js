@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAlertsConfig } = require('../server/alerts');
+
+const config = (rule = {}, extra = {}) => ({
+  webhooks: { slack: 'https://hooks.example.com/powder' },
+  rules: [{
+    id: 'deep',
+    area: 'powder-mountain',
+    conditions: [{ metric: 'snowfall', min: 8 }],
+    webhooks: ['slack'],
+    ...rule
+  }],
+  ...extra
+});
+
+test('parseAlertsConfig fills in defaults', () => {
+  const parsed = parseAlertsConfig(config());
+  assert.equal(parsed.intervalMinutes, 30);
+  assert.deepEqual(parsed.rules[0], {
+    id: 'deep',
+    name: 'deep',
+    area: 'powder-mountain',
+    hours: 24,
+    cooldownHours: 12,
+    conditions: [{ metric: 'snowfall', min: 8 }],
+    webhooks: ['slack']
+  });
+});
+
+test('parseAlertsConfig rejects bad webhooks and intervals', () => {
+  assert.throws(() => parseAlertsConfig(config({}, { webhooks: { slack: 'ftp://x' } })), /Webhook "slack" must be an http\(s\) URL/);
+  assert.throws(() => parseAlertsConfig(config({}, { intervalMinutes: 0 })), /intervalMinutes must be at least 1/);
+  assert.throws(() => parseAlertsConfig(config({ webhooks: ['email'] })), /unknown webhook "email"/);
+  assert.throws(() => parseAlertsConfig(config({ webhooks: [] })), /no webhooks/);
+});
+
+test('parseAlertsConfig rejects bad rules', () => {
+  assert.throws(() => parseAlertsConfig({ rules: [] }), /No alert rules/);
+  assert.throws(() => parseAlertsConfig(config({ id: 7 })), /needs a string id/);
+  assert.throws(() => parseAlertsConfig(config({ area: undefined })), /"deep": missing area/);
+  assert.throws(() => parseAlertsConfig(config({ hours: 0 })), /hours must be an integer from 1 to 168/);
+  assert.throws(() => parseAlertsConfig(config({ hours: 169 })), /hours must be/);
+
+  const twice = config();
+  twice.rules.push({ ...twice.rules[0] });
+  assert.throws(() => parseAlertsConfig(twice), /"deep": duplicate id/);
+});
+
+test('parseAlertsConfig checks conditions', () => {
+  const conditions = (...list) => config({ conditions: list });
+  assert.throws(() => parseAlertsConfig(conditions()), /no conditions/);
+  assert.throws(() => parseAlertsConfig(conditions({ metric: 'depth', min: 1 })), /unknown metric "depth"/);
+  assert.throws(() => parseAlertsConfig(conditions({ metric: 'mean' })), /mean condition needs a min or max/);
+  assert.throws(() => parseAlertsConfig(conditions({ metric: 'shareAbove', min: 0.1, score: 1.5 })), /score in \(0, 1\]/);
+  assert.doesNotThrow(() => parseAlertsConfig(conditions({ metric: 'shareAbove', min: 0.1, score: 0.8 }, { metric: 'max', max: 1 })));
+});
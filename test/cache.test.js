@@ -0,0 +1,54 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { TtlCache } = require('../server/cache');
+
+test('TtlCache serves fresh values from memory', async () => {
+  const cache = new TtlCache();
+  let loads = 0;
+  const loader = async () => ++loads;
+
+  assert.equal((await cache.get('k', loader, { ttl: 1000 })).status, 'MISS');
+  const hit = await cache.get('k', loader, { ttl: 1000 });
+  assert.deepEqual([hit.status, hit.value, loads], ['HIT', 1, 1]);
+});
+
+test('TtlCache shares one load between concurrent callers', async () => {
+  const cache = new TtlCache();
+  let loads = 0;
+  const loader = () => new Promise(resolve => setTimeout(() => resolve(++loads), 10));
+
+  const results = await Promise.all([1, 2, 3].map(() => cache.get('k', loader, { ttl: 1000 })));
+  assert.deepEqual(results.map(r => r.value), [1, 1, 1]);
+  assert.equal(cache.inFlight.size, 0);
+});
+
+test('TtlCache serves stale values while refreshing, and expired ones on error', async t => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  mock.method(console, 'warn', () => {});
+  const cache = new TtlCache();
+  const options = { ttl: 1000, staleWindow: 1000 };
+  await cache.get('k', async () => 'old', options);
+
+  t.mock.timers.tick(1500);
+  const stale = await cache.get('k', async () => 'new', options);
+  assert.deepEqual([stale.status, stale.value], ['STALE', 'old']);
+  await cache.inFlight.get('k');
+  assert.equal((await cache.get('k', async () => 'newer', options)).value, 'new');
+
+  t.mock.timers.tick(5000);
+  const failed = await cache.get('k', async () => { throw new Error('down'); }, options);
+  assert.deepEqual([failed.status, failed.value], ['ERROR-STALE', 'new']);
+  await assert.rejects(cache.get('other', async () => { throw new Error('down'); }, options), /down/);
+  mock.restoreAll();
+});
+
+test('TtlCache prunes entries past their stale window', async t => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const cache = new TtlCache();
+  await cache.get('short', async () => 1, { ttl: 100 });
+  await cache.get('long', async () => 2, { ttl: 10000 });
+
+  t.mock.timers.tick(500);
+  cache.prune();
+  assert.deepEqual([...cache.entries.keys()], ['long']);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { newSnowDensity, snowQuality, stormSnowRatio } from '../js/density.js';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} ≠ ${expected}`);
+
+test('newSnowDensity follows Anderson between -15°C and freezing', () => {
+  assert.equal(newSnowDensity(5), 0.05);   // -15°C
+  assert.equal(newSnowDensity(-20), 0.05);
+  close(newSnowDensity(32), 0.05 + 0.0017 * 15 ** 1.5);
+  // Warmer than freezing is 0°C wet snow
+  assert.equal(newSnowDensity(40), newSnowDensity(32));
+  assert.ok(newSnowDensity(20) < newSnowDensity(28));
+});
+
+test('stormSnowRatio weights each hour by its precip', () => {
+  const cold = 1 / newSnowDensity(5);
+  const warm = 1 / newSnowDensity(32);
+  const storm = stormSnowRatio([0.1, 0.3, 0], [5, 32, -40]);
+  close(storm.ratio, (0.1 * cold + 0.3 * warm) / 0.4);
+  close(storm.density, 1 / storm.ratio);
+});
+
+test('stormSnowRatio uses the default ratio for hours without a temperature', () => {
+  close(stormSnowRatio([0.2], [null]).ratio, 12);
+  close(stormSnowRatio([0.2], [NaN]).ratio, 12);
+});
+
+test('stormSnowRatio is null when nothing fell', () => {
+  assert.equal(stormSnowRatio([0, 0, null], [20, 20, 20]), null);
+  assert.equal(stormSnowRatio([], []), null);
+});
+
+test('snowQuality ramps from blower to heavy snow', () => {
+  assert.equal(snowQuality(null), 1);
+  assert.equal(snowQuality(0.05), 1);
+  assert.equal(snowQuality(0.07), 1);
+  close(snowQuality(0.095), 0.8);
+  assert.equal(snowQuality(0.12), 0.6);
+  assert.equal(snowQuality(0.2), 0.6);
+});
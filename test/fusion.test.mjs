@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fuseNearbySnowfall, fuseSnowfall } from '../js/fusion.js';
+
+const snotel = (totalSnowfall, depthChange, sweChange) => ({
+  source: 'snotel', totalSnowfall, depthChange, sweChange, snowRatio: 12
+});
+
+test('fuseSnowfall rates agreeing sources highly', () => {
+  const fused = fuseSnowfall(snotel(10, 10, 10 / 12), 10, 1);
+  assert.equal(fused.confidence, 'high');
+  assert.ok(Math.abs(fused.snowfall - 10) < 1e-9);
+  assert.equal(fused.estimates.length, 4);
+  assert.deepEqual(fused.notes, []);
+});
+
+test('fuseSnowfall mostly ignores an outlier', () => {
+  const fused = fuseSnowfall(snotel(10, 10, 10 / 12), 30, 1);
+  const resort = fused.estimates.find(e => e.source === 'resort');
+  assert.equal(resort.outlier, true);
+  assert.equal(fused.confidence, 'medium');
+  assert.ok(fused.snowfall < 12);
+  assert.ok(fused.notes.some(n => n.startsWith('Resort')));
+});
+
+test('fuseSnowfall down-weights a stale resort report', () => {
+  const fused = fuseSnowfall(snotel(10, null, null), 10, 24);
+  assert.equal(fused.confidence, 'medium');
+  assert.ok(fused.notes.includes('Resort report is 24 h old — given less weight'));
+});
+
+test('fuseSnowfall calls out two sources that disagree', () => {
+  const fused = fuseSnowfall(snotel(4, null, null), 12, 1);
+  assert.equal(fused.confidence, 'low');
+  assert.equal(fused.notes.length, 1);
+  assert.match(fused.notes[0], /disagree$/);
+});
+
+test('fuseSnowfall keeps a real 0 and reports no data without sources', () => {
+  assert.equal(fuseSnowfall(snotel(0, 0, 0), null, null).snowfall, 0);
+  assert.equal(fuseSnowfall(snotel(0, 0, 0), null, null).confidence, 'high');
+  assert.deepEqual(fuseSnowfall(null, null, null), {
+    snowfall: 0, confidence: 'none', estimates: [], notes: ['No snowfall data']
+  });
+});
+
+test('fuseSnowfall flags a forecast as the only source', () => {
+  const fused = fuseSnowfall({ source: 'forecast', totalSnowfall: 6 }, null, null);
+  assert.equal(fused.snowfall, 6);
+  assert.equal(fused.confidence, 'low');
+  assert.deepEqual(fused.notes, ['Forecast only — nothing observed to check it against']);
+});
+
+test('fuseNearbySnowfall averages nearby stations at low confidence', () => {
+  const fused = fuseNearbySnowfall([{ name: 'Ben Lomond Peak', snowfall: 10 }, { name: 'Horse Ridge', snowfall: 6 }]);
+  assert.equal(fused.snowfall, 8);
+  assert.equal(fused.confidence, 'low');
+  assert.deepEqual(fused.notes, ['No snow report from the area itself — averaged from nearby stations (Ben Lomond Peak, Horse Ridge)']);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computePowderScores, computeScoreStats, explainPowderScore } from '../js/powder.js';
+import { resolveModel } from '../js/model.js';
+
+test('computeScoreStats summarizes a grid', () => {
+  const scores = Float32Array.from({ length: 100 }, (_, i) => i / 100);
+  const stats = computeScoreStats(scores);
+  assert.equal(stats.count, 100);
+  assert.ok(Math.abs(stats.mean - 0.495) < 1e-6);
+  assert.ok(Math.abs(stats.p90 - 0.89) < 1e-3);
+  assert.ok(Math.abs(stats.max - 0.99) < 1e-6);
+  assert.deepEqual(stats.shareAbove, { 0.6: 0.4, 0.8: 0.2 });
+});
+
+test('computeScoreStats restricts to indices', () => {
+  const scores = new Float32Array([0.1, 0.9, 0.5, 0.7]);
+  const stats = computeScoreStats(scores, [0.6], [1, 3]);
+  assert.equal(stats.count, 2);
+  assert.ok(Math.abs(stats.mean - 0.8) < 1e-6);
+  assert.deepEqual(stats.shareAbove, { 0.6: 1 });
+});
+
+test('computeScoreStats handles an empty set', () => {
+  assert.deepEqual(computeScoreStats(new Float32Array(4), [0.6], []), {
+    count: 0, mean: 0, p90: 0, max: 0, shareAbove: { 0.6: 0 }
+  });
+});
+
+test('explainPowderScore matches computePowderScores pixel by pixel', () => {
+  const terrain = {
+    aspectGrid: new Float32Array([90, 270, NaN, 0]),
+    slopeGrid: new Float32Array([38, 38, 25, 50]),
+    elevations: new Float32Array([2500, 2500, 2400, 2600]),
+    width: 2,
+    height: 2
+  };
+  const windLoading = new Float32Array(360);
+  windLoading[90] = 1;
+  windLoading[270] = -1;
+  const inputs = {
+    windLoading,
+    shelterGrid: new Float32Array([0.5, -0.5, 0, 0]),
+    crustGrid: new Float32Array([0, 0.5, 0, 1]),
+    trackedGrid: null,
+    snowfallGrid: new Float32Array([12, 12, 12, 0]),
+    snowLine: null,
+    quality: 0.9,
+    model: resolveModel()
+  };
+
+  const scores = computePowderScores(terrain, inputs);
+  assert.equal(scores[3], 0);
+  assert.ok(scores[0] > scores[1]);
+  for (let i = 0; i < scores.length; i++) {
+    const breakdown = explainPowderScore(i, terrain, { ...inputs, wind: { direction: 270, avgSpeed: 20 } });
+    assert.ok(Math.abs(breakdown.score - scores[i]) < 1e-6);
+  }
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { expandSeries, utcOffsetSeconds } = require('../server/providers');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse('2026-01-15T06:00:00Z');
+
+test('expandSeries holds a value for each hour of its interval', () => {
+  const series = expandSeries({
+    values: [
+      { validTime: '2026-01-15T06:00:00+00:00/PT3H', value: 20 },
+      { validTime: '2026-01-15T09:00:00+00:00/PT1H', value: 25 },
+    ]
+  });
+  assert.deepEqual([...series], [[T0, 20], [T0 + HOUR, 20], [T0 + 2 * HOUR, 20], [T0 + 3 * HOUR, 25]]);
+});
+
+test('expandSeries splits amounts evenly across their interval', () => {
+  const series = expandSeries({ values: [{ validTime: '2026-01-15T06:00:00+00:00/PT6H', value: 12 }] }, true);
+  assert.equal(series.size, 6);
+  assert.ok([...series.values()].every(v => v === 2));
+});
+
+test('expandSeries reads day durations and local offsets', () => {
+  const series = expandSeries({ values: [{ validTime: '2026-01-14T23:00:00-07:00/P1DT2H', value: 1 }] });
+  assert.equal(series.size, 26);
+  assert.equal(Math.min(...series.keys()), T0);
+});
+
+test('expandSeries skips missing values and layers', () => {
+  assert.equal(expandSeries({ values: [{ validTime: '2026-01-15T06:00:00+00:00/PT2H', value: null }] }).size, 0);
+  assert.equal(expandSeries(undefined).size, 0);
+  assert.equal(expandSeries({}).size, 0);
+});
+
+test('utcOffsetSeconds follows daylight saving time', () => {
+  assert.equal(utcOffsetSeconds('America/Denver', new Date('2026-01-15T12:00:00Z')), -7 * 3600);
+  assert.equal(utcOffsetSeconds('America/Denver', new Date('2026-07-15T12:00:00Z')), -6 * 3600);
+  // The switch at 2am local on 8 March 2026
+  assert.equal(utcOffsetSeconds('America/Denver', new Date('2026-03-08T08:59:00Z')), -7 * 3600);
+  assert.equal(utcOffsetSeconds('America/Denver', new Date('2026-03-08T09:00:00Z')), -6 * 3600);
+});
+
+test('utcOffsetSeconds handles UTC and part-hour offsets', () => {
+  assert.equal(utcOffsetSeconds('UTC', new Date('2026-01-15T12:00:00Z')), 0);
+  assert.equal(utcOffsetSeconds('Asia/Kolkata', new Date('2026-01-15T12:00:00Z')), 5.5 * 3600);
+  assert.equal(utcOffsetSeconds('America/St_Johns', new Date('2026-01-15T12:00:00Z')), -3.5 * 3600);
+});
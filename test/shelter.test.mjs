@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeShelterIndex, computeShelterGrid } from '../js/shelter.js';
+
+// A 100 m wall running north–south through column 10 of flat ground
+const WIDTH = 21;
+const HEIGHT = 5;
+const CELL_SIZE = 30;
+const WALL_X = 10;
+
+function wallTerrain() {
+  const elevations = new Float32Array(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) elevations[y * WIDTH + WALL_X] = 100;
+  return { elevations, width: WIDTH, height: HEIGHT, cellSize: CELL_SIZE };
+}
+
+const at = (grid, x, y = 2) => grid[y * WIDTH + x];
+
+function westerly(hours, speed = 30) {
+  return {
+    wind_speed_10m: Array(hours).fill(speed),
+    wind_direction_10m: Array(hours).fill(270),
+    precipitation: Array(hours).fill(0),
+  };
+}
+
+test('computeShelterIndex is the steepest angle up to upwind terrain', () => {
+  const { elevations } = wallTerrain();
+  const sx = computeShelterIndex(elevations, WIDTH, HEIGHT, CELL_SIZE, 270);
+
+  // Two cells downwind (east) of the wall: 100 m up over 60 m
+  assert.ok(Math.abs(at(sx, WALL_X + 2) - Math.atan(100 / 60) * 180 / Math.PI) < 1e-4);
+  // The wall top looks down on everything upwind
+  assert.ok(at(sx, WALL_X) < 0);
+  // Flat ground upwind of the wall, and the west edge with nothing upwind
+  assert.equal(at(sx, WALL_X - 2), 0);
+  assert.equal(at(sx, 0), 0);
+});
+
+test('computeShelterIndex looks the other way for the opposite wind', () => {
+  const { elevations } = wallTerrain();
+  const sx = computeShelterIndex(elevations, WIDTH, HEIGHT, CELL_SIZE, 90);
+  assert.ok(at(sx, WALL_X - 2) > 0);
+  assert.equal(at(sx, WALL_X + 2), 0);
+});
+
+test('computeShelterGrid saturates and scales by transport', () => {
+  const terrain = wallTerrain();
+
+  const strong = computeShelterGrid(terrain, westerly(12), 20);
+  assert.equal(at(strong, WALL_X + 2), 1);
+  assert.equal(at(strong, WALL_X), -1);
+  assert.equal(at(strong, WALL_X - 2), 0);
+
+  // 10 mph against a 20 mph cap moves half as much snow
+  const light = computeShelterGrid(terrain, westerly(12, 10), 20);
+  assert.ok(Math.abs(at(light, WALL_X + 2) - 0.5) < 1e-6);
+});
+
+test('computeShelterGrid ignores sectors with little of the wind', () => {
+  const hourly = westerly(20);
+  hourly.wind_speed_10m.push(30);
+  hourly.wind_direction_10m.push(90);
+  hourly.precipitation.push(0);
+
+  const shelter = computeShelterGrid(wallTerrain(), hourly, 20);
+  assert.equal(at(shelter, WALL_X + 2), 1);
+  assert.equal(at(shelter, WALL_X - 2), 0);
+});
+
+test('computeShelterGrid weights snowy hours more', () => {
+  const hourly = westerly(2);
+  hourly.wind_direction_10m[1] = 90;
+  hourly.precipitation[1] = 0.1;   // weight 2 against 1
+
+  const shelter = computeShelterGrid(wallTerrain(), hourly, 20);
+  assert.ok(Math.abs(at(shelter, WALL_X + 2) - 1 / 3) < 1e-6);
+  assert.ok(Math.abs(at(shelter, WALL_X - 2) - 2 / 3) < 1e-6);
+});
+
+test('computeShelterGrid is null without wind', () => {
+  const terrain = wallTerrain();
+  assert.equal(computeShelterGrid(terrain, {}, 20), null);
+  assert.equal(computeShelterGrid(terrain, { wind_speed_10m: [null], wind_direction_10m: [null] }, 20), null);
+});
@@ -0,0 +1,30 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { withSnapshot } from '../js/snapshots.js';
+
+// No IndexedDB under Node: nothing is ever saved, so every lookup misses
+
+test('withSnapshot passes a fetched value through', async () => {
+  mock.method(console, 'warn', () => {});
+  assert.deepEqual(await withSnapshot('a/snotel/24h', Promise.resolve({ totalSnowfall: 0 })),
+    { value: { totalSnowfall: 0 }, savedAt: null });
+  mock.restoreAll();
+});
+
+test('withSnapshot rethrows data that came back unusable without looking for a snapshot', async () => {
+  let lookedUp = false;
+  globalThis.indexedDB = { open: () => { lookedUp = true; throw new Error('no IndexedDB'); } };
+  try {
+    await assert.rejects(withSnapshot('a/snotel/24h', Promise.reject(new Error('Not enough SNOTEL data'))),
+      /Not enough SNOTEL data/);
+    assert.equal(lookedUp, false);
+  } finally {
+    delete globalThis.indexedDB;
+  }
+});
+
+test('withSnapshot rethrows a fetch failure with nothing saved', async () => {
+  const err = new Error('snotel proxy returned 502');
+  err.name = 'FetchError';
+  await assert.rejects(withSnapshot('a/snotel/24h', Promise.reject(err)), { name: 'FetchError' });
+});
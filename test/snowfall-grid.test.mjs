@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpolateSnowfall, snowfallStations } from '../js/snowfall-grid.js';
+import { gridCoordsToLonLat } from '../js/terrain.js';
+
+const bounds = { north: 41.40, south: 41.36, east: -111.74, west: -111.80 };
+const terrain = { width: 5, height: 5 };
+
+// A station sitting on the centre of pixel (x, y)
+const station = (x, y, snowfall, primary = false, elevFt = 8000) => {
+  const [lon, lat] = gridCoordsToLonLat(x + 0.5, y + 0.5, bounds, terrain.width, terrain.height);
+  return { lat, lon, elevFt, snowfall, primary };
+};
+const at = (grid, x, y) => grid[y * terrain.width + x];
+
+test('interpolateSnowfall needs a second station beside the primary', () => {
+  assert.equal(interpolateSnowfall([station(0, 0, 10, true)], 10, terrain, bounds), null);
+  assert.equal(interpolateSnowfall([], 10, terrain, bounds), null);
+});
+
+test('interpolateSnowfall rides station offsets on the fused snowfall', () => {
+  const grid = interpolateSnowfall([station(0, 0, 10, true), station(4, 4, 16)], 12, terrain, bounds);
+  assert.ok(Math.abs(at(grid, 0, 0) - 12) < 1e-5);
+  assert.ok(Math.abs(at(grid, 4, 4) - 18) < 1e-5);
+  const middle = at(grid, 2, 2);
+  assert.ok(middle > 12 && middle < 18);
+});
+
+test('interpolateSnowfall brings stations to the primary elevation', () => {
+  // The same snowfall higher up is less snow once the orographic gain is taken out
+  const grid = interpolateSnowfall([station(0, 0, 10, true), station(4, 4, 10, false, 9000)], 10, terrain, bounds);
+  assert.ok(at(grid, 4, 4) < 10);
+});
+
+test('interpolateSnowfall works from nearby stations alone', () => {
+  const grid = interpolateSnowfall([station(0, 0, 4), station(4, 4, 8)], 99, terrain, bounds);
+  assert.ok(Math.abs(at(grid, 0, 0) - 4) < 1e-5);
+  assert.ok(Math.abs(at(grid, 4, 4) - 8) < 1e-5);
+});
+
+test('snowfallStations skips stations without a location or a total', () => {
+  const site = (station, lat) => ({ station, name: station, lat, lon: -111.8 });
+  const summary = totalSnowfall => ({ source: 'snotel', totalSnowfall, stationElevFt: 8000, warnings: [] });
+  const stations = snowfallStations(
+    { snotel: site('1300:UT:SNTL', 41.37) },
+    summary(null),
+    [
+      { site: site('332:UT:SNTL', 41.38), summary: summary(0) },
+      { site: site('333:UT:SNTL', null), summary: summary(5) },
+      { site: site('596:UT:SNTL', 41.46), summary: null }
+    ]
+  );
+  assert.deepEqual(stations.map(s => [s.station, s.snowfall, s.primary]), [['332:UT:SNTL', 0, false]]);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSnowLine, elevationSnowMultiplier, orographicFactor } from '../js/snowline.js';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} ≠ ${expected}`);
+const FEET_PER_METER = 3.28084;
+
+test('computeSnowLine places the freezing level and rain/snow line by lapse rate', () => {
+  const line = computeSnowLine(32, 8000);
+  assert.equal(line.freezingLevelFt, 8000);
+  // Half rain, half snow at 35°F, 3°F warmer: 3 / 3.5°F per 1000 ft below
+  close(line.rainSnowLineFt, 8000 - 3000 / 3.5);
+
+  close(computeSnowLine(25, 8000).freezingLevelFt, 6000);
+});
+
+test('computeSnowLine needs a temperature and an elevation', () => {
+  assert.equal(computeSnowLine(null, 8000), null);
+  assert.equal(computeSnowLine(NaN, 8000), null);
+  assert.equal(computeSnowLine(20, null), null);
+});
+
+test('elevationSnowMultiplier scales snow with height and turns it to rain below the line', () => {
+  const line = computeSnowLine(34, 8000);
+  close(elevationSnowMultiplier(8000 / FEET_PER_METER, line), 0.75);
+  close(elevationSnowMultiplier(9000 / FEET_PER_METER, line), 1.08);
+  assert.equal(elevationSnowMultiplier(5000 / FEET_PER_METER, line), 0);
+});
+
+test('elevationSnowMultiplier is neutral without a snow line or an elevation', () => {
+  assert.equal(elevationSnowMultiplier(2500, null), 1);
+  assert.equal(elevationSnowMultiplier(NaN, computeSnowLine(20, 8000)), 1);
+});
+
+test('orographicFactor is clamped to 0.5–1.5', () => {
+  assert.equal(orographicFactor(0), 1);
+  close(orographicFactor(1000), 1.08);
+  close(orographicFactor(-1000), 0.92);
+  assert.equal(orographicFactor(20000), 1.5);
+  assert.equal(orographicFactor(-20000), 0.5);
+});
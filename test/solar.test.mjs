@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  sunPosition, computeSolarExposure, pixelSolarEnergy, pixelCrustRisk, computeSunCrustGrid
+} from '../js/solar.js';
+
+const LAT = 41.2;
+const LON = -111.9;
+const MST = -7 * 3600;
+
+// Hourly local times through the winter solstice, 01:00 to midnight
+const SOLSTICE = Array.from({ length: 24 }, (_, i) =>
+  i === 23 ? '2024-12-22T00:00' : `2024-12-21T${String(i + 1).padStart(2, '0')}:00`);
+
+const hourly = (precip = [], extra = {}) => ({ time: SOLSTICE, precipitation: precip, ...extra });
+
+test('sunPosition puts the solstice noon sun due south at 90° − lat − tilt', () => {
+  // Solar noon at 111.9°W is about 19:28 UTC
+  const noon = sunPosition(Date.parse('2024-12-21T19:28:00Z'), LAT, LON);
+  assert.ok(Math.abs(noon.azimuth - 180) < 1, `azimuth ${noon.azimuth}`);
+  assert.ok(Math.abs(noon.elevation - (90 - LAT - 23.44)) < 0.5, `elevation ${noon.elevation}`);
+
+  const midnight = sunPosition(Date.parse('2024-12-21T07:28:00Z'), LAT, LON);
+  assert.ok(midnight.elevation < -40);
+});
+
+test('sunPosition rises in the southeast in midwinter', () => {
+  const morning = sunPosition(Date.parse('2024-12-21T16:00:00Z'), LAT, LON);
+  assert.ok(morning.elevation > 0 && morning.elevation < 15);
+  assert.ok(morning.azimuth > 120 && morning.azimuth < 150, `azimuth ${morning.azimuth}`);
+});
+
+test('computeSolarExposure bakes south faces far more than north faces', () => {
+  const solar = computeSolarExposure(hourly(), MST, LAT, LON);
+  assert.equal(solar.stormEnd, null);
+  assert.ok(solar.sunHours >= 8 && solar.sunHours <= 10, `sunHours ${solar.sunHours}`);
+
+  const south = pixelSolarEnergy(solar, 180, 35);
+  const flat = pixelSolarEnergy(solar, 0, 0);
+  const north = pixelSolarEnergy(solar, 0, 35);
+  assert.ok(south > flat && flat > north, `${south} / ${flat} / ${north}`);
+  // A steep north face barely sees the midwinter sun
+  assert.equal(pixelSolarEnergy(solar, 0, 70), 0);
+});
+
+test('computeSolarExposure counts only the sun after the storm', () => {
+  const precip = Array(24).fill(0);
+  precip[12] = 0.05;   // snowing until 13:00
+  const solar = computeSolarExposure(hourly(precip), MST, LAT, LON);
+  const clear = computeSolarExposure(hourly(), MST, LAT, LON);
+
+  assert.equal(solar.stormEnd, Date.parse('2024-12-21T20:00:00Z'));
+  assert.ok(solar.sunHours < clear.sunHours);
+  assert.ok(pixelSolarEnergy(solar, 180, 35) < pixelSolarEnergy(clear, 180, 35));
+});
+
+test('computeSolarExposure uses modelled irradiance where it has it', () => {
+  const overcast = computeSolarExposure(hourly([], { direct_normal_irradiance: Array(24).fill(0) }), MST, LAT, LON);
+  assert.equal(overcast.sunHours, 0);
+  assert.equal(pixelSolarEnergy(overcast, 180, 35), 0);
+
+  const bright = computeSolarExposure(hourly([], { direct_normal_irradiance: Array(24).fill(1000) }), MST, LAT, LON);
+  assert.ok(pixelSolarEnergy(bright, 180, 35) > pixelSolarEnergy(computeSolarExposure(hourly(), MST, LAT, LON), 180, 35));
+});
+
+test('computeSolarExposure needs times and a location', () => {
+  assert.equal(computeSolarExposure({ time: [] }, MST, LAT, LON), null);
+  assert.equal(computeSolarExposure(hourly(), MST, null, LON), null);
+});
+
+test('pixelSolarEnergy treats a missing aspect as flat ground', () => {
+  const solar = computeSolarExposure(hourly(), MST, LAT, LON);
+  assert.equal(pixelSolarEnergy(solar, NaN, NaN), pixelSolarEnergy(solar, 0, 0));
+  assert.equal(pixelSolarEnergy(solar, 360, 35), pixelSolarEnergy(solar, 0, 35));
+});
+
+test('pixelCrustRisk scales exposure by air temperature at the pixel', () => {
+  const energy = new Float32Array(360 * 91);
+  energy[180 * 91 + 35] = 1.5;   // half of the crusting energy
+  const solar = { energy, sunHours: 5 };
+
+  assert.equal(pixelCrustRisk(solar, 180, 35, 2500, null, null), 0.5);
+  // Warm at the station's elevation
+  assert.equal(pixelCrustRisk(solar, 180, 35, 8000 / 3.28084, 35, 8000), 0.5);
+  // 21°F is halfway between cold (10°F) and warm (32°F)
+  assert.ok(Math.abs(pixelCrustRisk(solar, 180, 35, 8000 / 3.28084, 21, 8000) - 0.25) < 1e-6);
+  // Cold snow keeps a residual risk; 2000 ft up is 7°F colder
+  assert.ok(Math.abs(pixelCrustRisk(solar, 180, 35, 10000 / 3.28084, 10, 8000) - 0.1) < 1e-6);
+  assert.equal(pixelCrustRisk(solar, 0, 35, 2500, 35, 8000), 0);
+});
+
+test('computeSunCrustGrid is null when the sun never shone', () => {
+  const terrain = {
+    aspectGrid: new Float32Array([180, 0]), slopeGrid: new Float32Array([35, 35]),
+    elevations: new Float32Array([2500, 2500]), width: 2, height: 1
+  };
+  assert.equal(computeSunCrustGrid(terrain, null, 20, 8000), null);
+  assert.equal(computeSunCrustGrid(terrain, { energy: new Float32Array(360 * 91), sunHours: 0 }, 20, 8000), null);
+
+  const grid = computeSunCrustGrid(terrain, computeSolarExposure(hourly(), MST, LAT, LON), null, null);
+  assert.ok(grid[0] > grid[1]);
+});
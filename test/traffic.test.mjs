@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { liftHoursOpen, periodLiftHours } from '../js/traffic.js';
+
+const MST = -7 * 3600;
+const CET = 3600;
+const LIFT_HOURS = { open: 9, close: 16 };
+
+// Epoch ms of a local wall-clock time at a UTC offset
+const local = (date, hour, offset = MST) =>
+  Date.parse(`${date}T00:00:00Z`) + hour * 3600000 - offset * 1000;
+
+test('liftHoursOpen counts the part of one session between two moments', () => {
+  assert.equal(liftHoursOpen(local('2025-01-10', 2), local('2025-01-10', 13), MST, LIFT_HOURS), 4);
+  assert.equal(liftHoursOpen(local('2025-01-10', 10.5), local('2025-01-10', 10.75), MST, LIFT_HOURS), 0.25);
+  assert.equal(liftHoursOpen(local('2025-01-10', 2), local('2025-01-10', 20), MST, LIFT_HOURS), 7);
+});
+
+test('liftHoursOpen adds up sessions across day boundaries', () => {
+  // 15:00 to close, a full day, then 9:00 to 13:00
+  assert.equal(liftHoursOpen(local('2025-01-10', 15), local('2025-01-12', 13), MST, LIFT_HOURS), 12);
+  // Across a month end
+  assert.equal(liftHoursOpen(local('2025-01-31', 12), local('2025-02-01', 12), MST, LIFT_HOURS), 7);
+});
+
+test('liftHoursOpen is zero overnight', () => {
+  assert.equal(liftHoursOpen(local('2025-01-10', 20), local('2025-01-11', 8), MST, LIFT_HOURS), 0);
+  assert.equal(liftHoursOpen(local('2025-01-10', 16), local('2025-01-11', 9), MST, LIFT_HOURS), 0);
+});
+
+test('liftHoursOpen splits days in local time, not UTC', () => {
+  // 23:00 MST is already the next day in UTC
+  assert.equal(liftHoursOpen(local('2025-01-10', 23), local('2025-01-11', 12), MST, LIFT_HOURS), 3);
+  // East of Greenwich, 00:30 local is still the previous day in UTC
+  assert.equal(liftHoursOpen(local('2025-01-11', 0.5, CET), local('2025-01-11', 10, CET), CET, LIFT_HOURS), 1);
+  assert.equal(liftHoursOpen(local('2025-01-10', 20, CET), local('2025-01-12', 10, CET), CET, LIFT_HOURS), 8);
+});
+
+test('liftHoursOpen is zero for an empty or reversed span', () => {
+  const t = local('2025-01-10', 12);
+  assert.equal(liftHoursOpen(t, t, MST, LIFT_HOURS), 0);
+  assert.equal(liftHoursOpen(t, t - 3600000, MST, LIFT_HOURS), 0);
+});
+
+test('periodLiftHours counts from the storm end to the time of day on the last day', () => {
+  // Hours ending 2025-01-11T00:00 through 23:00, so the period starts at 23:00 the day before
+  const time = Array.from({ length: 24 }, (_, i) => `2025-01-11T${String(i).padStart(2, '0')}:00`);
+  const weather = { hourly: { time }, utcOffsetSeconds: MST, solar: null };
+
+  // No storm: from the start of the period
+  assert.equal(periodLiftHours(weather, 13, LIFT_HOURS), 4);
+
+  // Storm ended the afternoon before the period
+  weather.solar = { stormEnd: local('2025-01-10', 14) };
+  assert.equal(periodLiftHours(weather, 13, LIFT_HOURS), 6);
+
+  assert.equal(periodLiftHours({ hourly: { time: [] }, utcOffsetSeconds: MST }, 13, LIFT_HOURS), 0);
+});
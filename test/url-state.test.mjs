@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readUrlState, urlStateSearch } from '../js/url-state.js';
+import { MODEL_DEFAULTS } from '../js/config.js';
+
+const STYLE = { ramp: 'heat', threshold: 0.5, opacity: 0.8 };
+
+function mapState(overrides = {}) {
+  return {
+    area: 'cottonwoods',
+    mode: null,
+    hours: 24,
+    range: null,
+    view: { lat: 40.5912, lon: -111.6384, zoom: 13.4, bearing: 0, pitch: 0 },
+    style: { ...STYLE },
+    crust: true,
+    hour: 13,
+    model: { ...MODEL_DEFAULTS, snowSaturationIn: 10 },
+    ...overrides
+  };
+}
+
+// What readUrlState gives back: no area, and only the model values that differ
+function readBack(state) {
+  const { area, ...rest } = state;
+  const model = Object.fromEntries(Object.entries(state.model).filter(([key, v]) => v !== MODEL_DEFAULTS[key]));
+  return { ...rest, model };
+}
+
+test('urlStateSearch and readUrlState round-trip the recent window', () => {
+  const state = mapState();
+  const search = urlStateSearch(state);
+  assert.equal(search,
+    '?area=cottonwoods&hours=24&map=40.5912,-111.6384,13.40&ramp=heat&min=0.5&opacity=0.8&crust=1&hour=13&snow=10');
+  assert.deepEqual(readUrlState(search), readBack(state));
+});
+
+test('urlStateSearch and readUrlState round-trip a forecast with a rotated map', () => {
+  const state = mapState({
+    mode: 'forecast',
+    hours: 48,
+    view: { lat: 40.5912, lon: -111.6384, zoom: 13.4, bearing: 30, pitch: 45 },
+    crust: false,
+    hour: null,
+    model: { ...MODEL_DEFAULTS, transportCapMph: 20, shelterWeight: 0.7 }
+  });
+  const search = urlStateSearch(state);
+  assert.match(search, /&mode=forecast&map=40\.5912,-111\.6384,13\.40,30,45&/);
+  assert.deepEqual(readUrlState(search), { ...readBack(state), crust: null });
+});
+
+test('urlStateSearch and readUrlState round-trip a replay range', () => {
+  const state = mapState({ mode: 'replay', hours: null, range: { start: '2025-02-10', end: '2025-02-12' } });
+  const search = urlStateSearch(state);
+  assert.match(search, /mode=replay&from=2025-02-10&to=2025-02-12/);
+  assert.doesNotMatch(search, /hours=/);
+  assert.deepEqual(readUrlState(search), readBack(state));
+});
+
+test('readUrlState leaves out anything malformed', () => {
+  const state = readUrlState('?hours=36&mode=replay&from=2025-02-10&map=91,0,10&min=&opacity=abc&snow=x');
+  assert.deepEqual(state, {
+    mode: null, hours: null, range: null, view: null, style: {}, crust: null, hour: null, model: {}
+  });
+  assert.equal(readUrlState('?map=40,-111,23').view, null);
+  assert.equal(readUrlState('?map=40,-111').view, null);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { summarizeSnotel } from '../js/weather.js';
+
+const area = { snotel: { station: '1300:UT:SNTL', elevationFt: 8000 } };
+const csv = name => readFileSync(new URL(`./snotel/${name}.csv`, import.meta.url), 'utf8');
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+test('summarizeSnotel totals a clean storm', () => {
+  const s = summarizeSnotel(area, csv('storm'));
+  close(s.totalPrecip, 0.5);
+  close(s.sweChange, 0.5);
+  assert.equal(s.depthChange, 3);
+  assert.equal(s.baseDepth, 55);
+  assert.equal(s.stationElevFt, 8000);
+  assert.equal(s.snowRatio, 20);
+  close(s.totalSnowfall, 10);
+  assert.deepEqual(s.warnings, []);
+});
+
+test('parseSnotelCsv matches columns by header, in any order, without QC flags', () => {
+  const s = summarizeSnotel(area, csv('reordered'));
+  close(s.totalPrecip, 0.4);
+  assert.equal(s.sweChange, null);
+  assert.deepEqual(s.warnings, ['SNOTEL report has no SWE column']);
+});
+
+test('parseSnotelCsv keeps a real 0 as a reading', () => {
+  const s = summarizeSnotel(area, csv('reordered'));
+  assert.equal(s.baseDepth, 0);
+  assert.equal(s.depthChange, 0);
+  assert.equal(s.tempF, 0);
+});
+
+test('rejectSpikes drops one-hour glitches and warnGaps reports missing hours', () => {
+  const s = summarizeSnotel(area, csv('glitches'));
+  close(s.totalPrecip, 1.1);
+  assert.equal(s.depthChange, 0);
+  assert.ok(s.warnings.includes('Ignored 1 SNOTEL precip spike'));
+  assert.ok(s.warnings.includes('Ignored 1 SNOTEL snow depth spike'));
+  assert.ok(s.warnings.includes('No SNOTEL precip readings for 4 h from 2026-01-15 06:00'));
+});
+
+test('accumulate counts on from the Oct 1 water-year reset without a warning', () => {
+  const s = summarizeSnotel(area, csv('water-year'));
+  close(s.totalPrecip, 0.4);
+  assert.deepEqual(s.warnings, []);
+});
+
+test('accumulate ignores readings flagged suspect and gauge noise', () => {
+  const s = summarizeSnotel(area, csv('suspect'));
+  close(s.totalPrecip, 0.1);
+  assert.deepEqual(s.warnings, ['Ignored 1 SNOTEL precip reading flagged suspect']);
+});
+
+test('accumulate skips a jump too steep for an hour of precip', () => {
+  const text = csv('storm').replace('2026-01-15 03:00,53,V,10.3', '2026-01-15 03:00,53,V,13.3');
+  const s = summarizeSnotel(area, text.replace(/(2026-01-15 0[45]:00,5\d,V,)10\./g, '$113.'));
+  close(s.totalPrecip, 0.4);
+  assert.ok(s.warnings.some(w => /^Ignored a .* jump in SNOTEL precip at 2026-01-15 03:00$/.test(w)));
+});
+
+test('summarizeSnotel needs at least two rows', () => {
+  const header = csv('storm').split('\n').slice(0, 4).join('\n');
+  assert.throws(() => summarizeSnotel(area, header), /Not enough SNOTEL data/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractZones } from '../js/zones.js';
+
+const size = 16;
+const bounds = { north: 41.40, south: 41.36, east: -111.74, west: -111.80 };
+
+// Score grid with rectangles [x0, y0, x1, y1) set to a score
+function grid(...rects) {
+  const scores = new Float32Array(size * size);
+  for (const [x0, y0, x1, y1, score] of rects) {
+    for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) scores[y * size + x] = score;
+  }
+  return scores;
+}
+
+test('extractZones ranks zones by mean score and drops small ones', () => {
+  // 10 m pixels: a 4×4 block is 1600 m², under ZONE_MIN_AREA_M2
+  const scores = grid([0, 0, 8, 4, 0.9], [8, 8, 16, 16, 0.7], [0, 12, 4, 16, 0.95]);
+  const { type, features } = extractZones(scores, size, size, bounds, 10, 0.6);
+
+  assert.equal(type, 'FeatureCollection');
+  assert.deepEqual(features.map(f => f.properties.name), ['Zone 1', 'Zone 2']);
+  assert.deepEqual(features.map(f => f.properties.areaM2), [3200, 6400]);
+  assert.ok(Math.abs(features[0].properties.meanScore - 0.9) < 1e-3);
+  assert.ok(Math.abs(features[1].properties.maxScore - 0.7) < 1e-3);
+});
+
+test('extractZones outlines each zone as a closed counter-clockwise ring', () => {
+  const { features } = extractZones(grid([0, 0, 8, 4, 0.9]), size, size, bounds, 10, 0.6);
+  assert.equal(features.length, 1);
+  const { geometry, properties } = features[0];
+  assert.equal(geometry.type, 'Polygon');
+
+  const ring = geometry.coordinates[0];
+  assert.deepEqual(ring[0], ring[ring.length - 1]);
+  let area2 = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area2 += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  assert.ok(area2 > 0);
+
+  const [lon, lat] = properties.centroid;
+  assert.ok(lon > bounds.west && lon < bounds.west + (bounds.east - bounds.west) / 2);
+  assert.ok(lat < bounds.north && lat > bounds.north - (bounds.north - bounds.south) / 4);
+});
+
+test('extractZones finds nothing below the threshold', () => {
+  assert.deepEqual(extractZones(grid([0, 0, 16, 16, 0.5]), size, size, bounds, 10, 0.6).features, []);
+});